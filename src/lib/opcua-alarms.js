@@ -0,0 +1,180 @@
+/**
+ * @file opcua-alarms.js
+ * @description Alarms & Conditions (OPC 10000-9) client helpers.
+ *
+ * Condition methods are called on the condition instance, as the spec
+ * requires: the method node below the condition (e.g. `Confirm`, or
+ * `ShelvingState/TimedShelve`) is looked up by browse name and cached in the
+ * per-session browse-path cache.  Servers that do not expose condition
+ * instances in the address space accept the method of the type instead, so
+ * the standard MethodIds are the fallback.
+ *
+ * The condition state fields are added to the select clause of event
+ * subscriptions; `CONDITION_FIELDS` maps their output names to the browse
+ * paths selected on the server.
+ *
+ * `createAlarmTable()` keeps the current alarm list of an event subscription
+ * from those fields, the way an HMI alarm summary does: a condition stays in
+ * the table while the server sets Retain, and ConditionRefresh rebuilds it.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const browsePath = require("./opcua-browse-path");
+
+// Condition fields in event output → select-clause browse path
+const CONDITION_FIELDS = {
+  ConditionId:    "ConditionId",
+  BranchId:       "BranchId",
+  Retain:         "Retain",
+  EnabledState:   "EnabledState.Id",
+  ActiveState:    "ActiveState.Id",
+  AckedState:     "AckedState.Id",
+  ConfirmedState: "ConfirmedState.Id",
+  ShelvingState:  "ShelvingState.CurrentState",
+};
+
+// Event types bracketing the replies to ConditionRefresh
+const REFRESH_START_EVENT_TYPE = opcua.resolveNodeId(opcua.ObjectTypeIds.RefreshStartEventType).toString();
+const REFRESH_END_EVENT_TYPE   = opcua.resolveNodeId(opcua.ObjectTypeIds.RefreshEndEventType).toString();
+
+// Condition methods: the object they are called on (relative to the
+// condition) and the method of the type used when no instance node exists
+const CONDITION_METHODS = {
+  Acknowledge:   { object: null,            typeMethodId: opcua.MethodIds.AcknowledgeableConditionType_Acknowledge },
+  Confirm:       { object: null,            typeMethodId: opcua.MethodIds.AcknowledgeableConditionType_Confirm },
+  AddComment:    { object: null,            typeMethodId: opcua.MethodIds.ConditionType_AddComment },
+  Enable:        { object: null,            typeMethodId: opcua.MethodIds.ConditionType_Enable },
+  Disable:       { object: null,            typeMethodId: opcua.MethodIds.ConditionType_Disable },
+  TimedShelve:   { object: "ShelvingState", typeMethodId: opcua.MethodIds.ShelvedStateMachineType_TimedShelve },
+  OneShotShelve: { object: "ShelvingState", typeMethodId: opcua.MethodIds.ShelvedStateMachineType_OneShotShelve },
+  Unshelve:      { object: "ShelvingState", typeMethodId: opcua.MethodIds.ShelvedStateMachineType_Unshelve },
+};
+
+/**
+ * Call a condition method.
+ *
+ * @param {ClientSession} session     - Active session.
+ * @param {string}        conditionId - NodeId of the condition instance.
+ * @param {string}        methodName  - Key of CONDITION_METHODS, e.g. "Confirm".
+ * @param {Variant[]}     [inputArguments]
+ * @param {object}        [cache]     - Browse-path cache of the session.
+ * @returns {Promise<StatusCode>}
+ */
+async function callConditionMethod(session, conditionId, methodName, inputArguments = [], cache) {
+  const method = CONDITION_METHODS[methodName];
+  if (!method) {
+    throw new Error(`Unknown condition method "${methodName}"`);
+  }
+
+  const objectId = method.object
+    ? await browsePath.resolveOptionalProperty(session, conditionId, method.object, cache) || conditionId
+    : conditionId;
+  const methodId = await browsePath.resolveOptionalProperty(session, objectId, methodName, cache)
+    || opcua.resolveNodeId(method.typeMethodId).toString();
+
+  const result = await session.call({
+    objectId: opcua.resolveNodeId(objectId),
+    methodId: opcua.resolveNodeId(methodId),
+    inputArguments,
+  });
+  return result.statusCode;
+}
+
+/**
+ * Input arguments of Acknowledge, Confirm and AddComment.
+ *
+ * @param {Buffer} eventId - EventId of the event notification.
+ * @param {string} comment
+ * @returns {Variant[]}
+ */
+function commentArguments(eventId, comment) {
+  return [
+    new opcua.Variant({ dataType: opcua.DataType.ByteString, value: eventId }),
+    new opcua.Variant({ dataType: opcua.DataType.LocalizedText, value: new opcua.LocalizedText({ text: comment || "" }) }),
+  ];
+}
+
+/**
+ * Coerce an EventId from a message: a Buffer, a byte array, a serialised
+ * Buffer (`{ type: "Buffer", data }`) or a hex string.
+ *
+ * @returns {Buffer}
+ * @throws {Error} If the EventId is missing.
+ */
+function toEventId(eventId) {
+  if (Buffer.isBuffer(eventId)) return eventId;
+  if (Array.isArray(eventId) || eventId instanceof Uint8Array) return Buffer.from(eventId);
+  if (Array.isArray(eventId?.data)) return Buffer.from(eventId.data);
+  if (typeof eventId === "string" && eventId !== "") return Buffer.from(eventId, "hex");
+  throw new Error("msg.eventId is required (the EventId of the condition's event)");
+}
+
+/**
+ * Convert a condition field value for event output: NodeIds become strings,
+ * LocalizedText its text.
+ */
+function decodeConditionField(value) {
+  if (value instanceof opcua.NodeId) return value.toString();
+  if (value instanceof opcua.LocalizedText) return value.text;
+  return value;
+}
+
+/**
+ * Create a live alarm table fed with the events of one event subscription.
+ *
+ * Rows are the event objects of `mapEventFields()`, keyed by ConditionId and
+ * BranchId.  An event with `Retain` true adds or replaces its row; any other
+ * event of the condition (Retain false, or a disabled condition) removes it.
+ * Events between a RefreshStartEvent and a RefreshEndEvent rebuild the table
+ * from scratch and are reported once, at the RefreshEndEvent.
+ *
+ * @returns {{ update: (eventData: object) => boolean, list: () => object[] }}
+ *   `update()` returns true when the table changed and should be reported;
+ *   `list()` returns the rows by descending Severity, newest first.
+ */
+function createAlarmTable() {
+  const rows = new Map();
+  let refreshing = false;
+
+  return {
+    update(eventData) {
+      const eventType = eventData.EventType ? opcua.resolveNodeId(eventData.EventType).toString() : "";
+      if (eventType === REFRESH_START_EVENT_TYPE) {
+        refreshing = true;
+        rows.clear();
+        return false;
+      }
+      if (eventType === REFRESH_END_EVENT_TYPE) {
+        refreshing = false;
+        return true;
+      }
+      if (!eventData.ConditionId) return false;
+
+      const key = `${eventData.ConditionId}|${eventData.BranchId ?? ""}`;
+      if (eventData.Retain === true) {
+        rows.set(key, eventData);
+      } else if (!rows.delete(key)) {
+        return false;
+      }
+      return !refreshing;
+    },
+
+    list() {
+      return [...rows.values()].sort((a, b) =>
+        (Number(b.Severity) || 0) - (Number(a.Severity) || 0)
+        || (new Date(b.ReceiveTime).getTime() || 0) - (new Date(a.ReceiveTime).getTime() || 0)
+      );
+    },
+  };
+}
+
+module.exports = {
+  CONDITION_FIELDS,
+  callConditionMethod,
+  commentArguments,
+  toEventId,
+  decodeConditionField,
+  createAlarmTable,
+};
@@ -0,0 +1,127 @@
+/**
+ * @file opcua-batching.js
+ * @description Split service calls to stay within the server's OperationLimits.
+ *
+ * Servers advertise limits such as MaxNodesPerRead under
+ * `Server/ServerCapabilities/OperationLimits` and reject larger requests with
+ * Bad_TooManyOperations.  The shared connection reads these limits once per
+ * session (`readOperationLimits()`); callers then run their operation per
+ * chunk with `runInChunks()`, which returns the results in the original order.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+
+// OperationLimits variables, keyed by the property name used by callers
+const OPERATION_LIMIT_IDS = {
+  maxNodesPerRead:                          "MaxNodesPerRead",
+  maxNodesPerWrite:                         "MaxNodesPerWrite",
+  maxNodesPerBrowse:                        "MaxNodesPerBrowse",
+  maxNodesPerMethodCall:                    "MaxNodesPerMethodCall",
+  maxNodesPerRegisterNodes:                 "MaxNodesPerRegisterNodes",
+  maxNodesPerNodeManagement:                "MaxNodesPerNodeManagement",
+  maxMonitoredItemsPerCall:                 "MaxMonitoredItemsPerCall",
+  maxNodesPerHistoryReadData:               "MaxNodesPerHistoryReadData",
+  maxNodesPerHistoryReadEvents:             "MaxNodesPerHistoryReadEvents",
+  maxNodesPerHistoryUpdateData:             "MaxNodesPerHistoryUpdateData",
+  maxNodesPerHistoryUpdateEvents:           "MaxNodesPerHistoryUpdateEvents",
+  maxNodesPerTranslateBrowsePathsToNodeIds: "MaxNodesPerTranslateBrowsePathsToNodeIds",
+};
+
+/**
+ * Read the OperationLimits of the server.  Missing or zero limits mean
+ * "no limit" and are left out.
+ *
+ * MaxNodesPerRead is read on its own first, so that reading the remaining
+ * limits does not itself exceed it.
+ *
+ * @param {ClientSession} session - Active session.
+ * @returns {Promise<object>} e.g. `{ maxNodesPerRead: 1000, maxNodesPerWrite: 500 }`.
+ */
+async function readOperationLimits(session) {
+  const toReadValueId = (name) => ({
+    nodeId: opcua.resolveNodeId(opcua.VariableIds[`Server_ServerCapabilities_OperationLimits_${name}`]),
+    attributeId: opcua.AttributeIds.Value,
+  });
+
+  const limits = {};
+  try {
+    const [maxNodesPerRead] = await session.read([toReadValueId(OPERATION_LIMIT_IDS.maxNodesPerRead)]);
+    if (Number(maxNodesPerRead.value?.value) > 0) {
+      limits.maxNodesPerRead = Number(maxNodesPerRead.value.value);
+    }
+
+    const keys = Object.keys(OPERATION_LIMIT_IDS).filter((key) => key !== "maxNodesPerRead");
+    const dataValues = await runInChunks(
+      keys.map((key) => toReadValueId(OPERATION_LIMIT_IDS[key])),
+      limits.maxNodesPerRead,
+      (nodesToRead) => session.read(nodesToRead)
+    );
+
+    keys.forEach((key, i) => {
+      const value = Number(dataValues[i].value?.value);
+      if (dataValues[i].statusCode.isGood() && value > 0) {
+        limits[key] = value;
+      }
+    });
+  } catch {
+    // Servers without OperationLimits nodes — keep what is known
+  }
+
+  return limits;
+}
+
+/**
+ * Split an array into chunks of at most `size` elements.
+ *
+ * @param {Array}  items - Array to split.
+ * @param {number} [size] - Chunk size; 0 or undefined means one chunk.
+ * @returns {Array<Array>} No chunks for an empty array, so callers never
+ *   send an empty request (servers reject those with BadNothingToDo).
+ */
+function splitIntoChunks(items, size) {
+  if (items.length === 0) return [];
+  if (!size || size <= 0 || items.length <= size) return [items];
+
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Run `operation` on chunks of `items` and concatenate the results in order.
+ *
+ * @param {Array}    items       - Items to process.
+ * @param {number}   [limit]     - Maximum chunk size (0/undefined = no limit).
+ * @param {Function} operation   - `async (chunk, offset) => Array` — must return
+ *   one result per chunk element.
+ * @param {number}   [concurrency=1] - Maximum number of chunks in flight.
+ * @returns {Promise<Array>} Results in the order of `items` (`operation` is
+ *   not called for an empty `items`).
+ */
+async function runInChunks(items, limit, operation, concurrency = 1) {
+  const chunks = splitIntoChunks(items, limit);
+  const results = new Array(chunks.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < chunks.length) {
+      const index = next++;
+      results[index] = await operation(chunks[index], index * (limit || 0));
+    }
+  };
+
+  const workers = Math.max(1, Math.min(Number(concurrency) || 1, chunks.length));
+  await Promise.all(Array.from({ length: workers }, worker));
+
+  return results.flat();
+}
+
+module.exports = {
+  readOperationLimits,
+  splitIntoChunks,
+  runInChunks,
+};
@@ -0,0 +1,294 @@
+/**
+ * @file opcua-browse-path.js
+ * @description Browse-path addressing (TranslateBrowsePathsToNodeIds).
+ *
+ * Lets nodes address OPC UA nodes by their browse path instead of a NodeId,
+ * which stays stable when NodeIds change between server/firmware builds:
+ *
+ *   br=/Objects/2:Line1/2:Motor/2:Speed            — namespace index
+ *   br=/Objects/nsu=urn:bnr:pv;Line1/...           — namespace URI
+ *   br=ns=2;s=Line1/2:Motor/2:Speed                — start at a NodeId
+ *   br=nsu=http://example.com/plc;s=Line&/1/2:Motor — start at a NodeId with "/"
+ *
+ * A path starting with "/" starts at the RootFolder (i=84).  Each segment is
+ * `Name` (namespace 0), `<index>:Name` or `nsu=<uri>;Name`, and follows
+ * hierarchical references forward.  The namespace of a starting NodeId is
+ * read up to its ";" (URIs may contain "/"); a "/" in its identifier is
+ * escaped as "&/" (and "&" as "&&"), as in OPC UA relative paths.
+ *
+ * `resolveProperties()` uses the same mechanism to find property variables
+ * (e.g. `EURange`, `EngineeringUnits`) below a node.
+ *
+ * Resolved NodeIds are cached per session in a cache object created with
+ * `createBrowsePathCache()`; the shared connection replaces it on every new
+ * session, so changed address spaces are picked up after a reconnect.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+
+const BROWSE_PATH_PREFIX = "br=";
+const ROOT_FOLDER = "i=84";
+
+// ── Cache ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty per-session browse-path cache.
+ *
+ * @returns {{ nodeIds: Map<string, string>, namespaceArray: string[]|null }}
+ */
+function createBrowsePathCache() {
+  return {
+    nodeIds: new Map(),     // browse path (or "<nodeId>#<property>") → NodeId string
+    namespaceArray: null,   // Server namespace URIs, read on first use
+  };
+}
+
+// ── Parsing ────────────────────────────────────────────────────────────────────
+
+/**
+ * Detect whether an address is a browse path (`br=` prefix).
+ *
+ * @param {*} address - Item nodeId or msg.topic.
+ * @returns {boolean}
+ */
+function isBrowsePath(address) {
+  return typeof address === "string" && address.startsWith(BROWSE_PATH_PREFIX);
+}
+
+/**
+ * Split a browse path into its starting NodeId and path segments.
+ *
+ * @param {string} address - Browse path, with or without the `br=` prefix.
+ * @returns {{ startingNode: string, elements: Array<{ name: string, namespaceIndex?: number, namespaceUri?: string }> }}
+ */
+function parseBrowsePath(address) {
+  let path = address.startsWith(BROWSE_PATH_PREFIX)
+    ? address.slice(BROWSE_PATH_PREFIX.length)
+    : address;
+  path = path.trim();
+
+  let startingNode = ROOT_FOLDER;
+  if (!path.startsWith("/")) {
+    ({ startingNode, path } = parseStartingNode(path, address));
+  }
+
+  const elements = [];
+  let i = 0;
+  while (i < path.length) {
+    // Skip the "/" separator
+    i += 1;
+
+    let namespaceUri;
+    // A namespace URI may itself contain "/", so read it up to the ";"
+    if (path.startsWith("nsu=", i)) {
+      const end = path.indexOf(";", i);
+      if (end === -1) {
+        throw new Error(`Invalid browse path "${address}": missing ";" after nsu=`);
+      }
+      namespaceUri = path.slice(i + 4, end);
+      i = end + 1;
+    }
+
+    const next = path.indexOf("/", i);
+    const segment = next === -1 ? path.slice(i) : path.slice(i, next);
+    i = next === -1 ? path.length : next;
+
+    if (!segment) {
+      throw new Error(`Invalid browse path "${address}": empty segment`);
+    }
+
+    if (namespaceUri !== undefined) {
+      elements.push({ name: segment, namespaceUri });
+      continue;
+    }
+
+    const match = /^(\d+):(.*)$/.exec(segment);
+    elements.push(match
+      ? { name: match[2], namespaceIndex: Number(match[1]) }
+      : { name: segment, namespaceIndex: 0 });
+  }
+
+  return { startingNode, elements };
+}
+
+/**
+ * Split the starting NodeId off a browse path that does not start at the
+ * RootFolder.  The namespace (`ns=<index>;` or `nsu=<uri>;`) is read up to
+ * its ";", the identifier up to the first "/" not escaped with "&".
+ *
+ * @returns {{ startingNode: string, path: string }} The NodeId and the rest
+ *   of the path (starting with "/", or empty).
+ */
+function parseStartingNode(path, address) {
+  let i = 0;
+  if (path.startsWith("ns=") || path.startsWith("nsu=")) {
+    const end = path.indexOf(";");
+    if (end === -1) {
+      throw new Error(`Invalid browse path "${address}": missing ";" after the starting node's namespace`);
+    }
+    i = end + 1;
+  }
+
+  let startingNode = path.slice(0, i);
+  while (i < path.length && path[i] !== "/") {
+    if (path[i] === "&" && (path[i + 1] === "/" || path[i + 1] === "&")) i += 1;
+    startingNode += path[i];
+    i += 1;
+  }
+  return { startingNode, path: path.slice(i) };
+}
+
+// ── Resolution ─────────────────────────────────────────────────────────────────
+
+/**
+ * Resolve a list of addresses to NodeId strings.  Plain NodeIds pass through
+ * unchanged; browse paths are translated in a single
+ * TranslateBrowsePathsToNodeIds call and cached.
+ *
+ * @param {ClientSession} session   - Active session.
+ * @param {string[]}      addresses - NodeIds and/or `br=` browse paths.
+ * @param {object}        [cache]   - Cache from createBrowsePathCache().
+ * @returns {Promise<string[]>} NodeId strings, in the order of `addresses`.
+ * @throws {Error} If a browse path cannot be resolved.
+ */
+async function resolveAddresses(session, addresses, cache = createBrowsePathCache()) {
+  const pending = [...new Set(addresses.filter(
+    (address) => isBrowsePath(address) && !cache.nodeIds.has(address)
+  ))];
+
+  await translate(session, pending.map((address) => ({ key: address, ...parseBrowsePath(address) })), cache);
+
+  return addresses.map((address) => (isBrowsePath(address) ? cache.nodeIds.get(address) : address));
+}
+
+/**
+ * Resolve a single address (NodeId or browse path) to a NodeId string.
+ *
+ * @param {ClientSession} session - Active session.
+ * @param {string}        address - NodeId or `br=` browse path.
+ * @param {object}        [cache] - Cache from createBrowsePathCache().
+ * @returns {Promise<string>}
+ */
+async function resolveAddress(session, address, cache) {
+  if (!isBrowsePath(address)) return address;
+  const [nodeId] = await resolveAddresses(session, [address], cache);
+  return nodeId;
+}
+
+/**
+ * Resolve properties (HasProperty children such as `EURange` or
+ * `EngineeringUnits`) of nodes to the NodeIds of the property variables.
+ *
+ * @param {ClientSession} session - Active session.
+ * @param {Array<{ nodeId: string, property: string }>} targets - Owning NodeId
+ *   and property name (`Name` for namespace 0, or `<index>:Name`).
+ * @param {object} [cache] - Cache from createBrowsePathCache().
+ * @returns {Promise<string[]>} NodeId strings of the properties, in order.
+ * @throws {Error} If a property does not exist.
+ */
+async function resolveProperties(session, targets, cache = createBrowsePathCache()) {
+  const keys = targets.map(({ nodeId, property }) => `${nodeId}#${property}`);
+
+  const pending = new Map();
+  targets.forEach(({ nodeId, property }, i) => {
+    if (cache.nodeIds.has(keys[i]) || pending.has(keys[i])) return;
+    pending.set(keys[i], {
+      key: keys[i],
+      label: `Property "${property}" of ${nodeId}`,
+      startingNode: nodeId,
+      elements: parseBrowsePath(`/${property}`).elements,
+    });
+  });
+
+  await translate(session, [...pending.values()], cache);
+
+  return keys.map((key) => cache.nodeIds.get(key));
+}
+
+/**
+ * Resolve one child of a node like resolveProperties(), for optional
+ * children such as the methods of a condition or directory instance.
+ *
+ * @param {ClientSession} session
+ * @param {string}        nodeId   - Owning NodeId.
+ * @param {string}        property - Child browse name.
+ * @param {object}        [cache]
+ * @returns {Promise<string|undefined>} NodeId string, or undefined when the
+ *   node has no such child.
+ */
+async function resolveOptionalProperty(session, nodeId, property, cache) {
+  try {
+    const [childId] = await resolveProperties(session, [{ nodeId, property }], cache);
+    return childId;
+  } catch {
+    return undefined;
+  }
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Translate parsed paths in one TranslateBrowsePathsToNodeIds call and store
+ * the first target of each under its `key` in the cache.
+ */
+async function translate(session, paths, cache) {
+  if (paths.length === 0) return;
+
+  const needsNamespaces = paths.some((p) => p.startingNode.startsWith("nsu=")
+    || p.elements.some((e) => e.namespaceUri !== undefined));
+  if (needsNamespaces && !cache.namespaceArray) {
+    cache.namespaceArray = await session.readNamespaceArray();
+  }
+
+  const browsePaths = paths.map((p) => new opcua.BrowsePath({
+    startingNode: opcua.resolveNodeId(p.startingNode, { namespaceArray: cache.namespaceArray || undefined }),
+    relativePath: {
+      elements: p.elements.map((element) => new opcua.RelativePathElement({
+        referenceTypeId: opcua.resolveNodeId("HierarchicalReferences"),
+        isInverse: false,
+        includeSubtypes: true,
+        targetName: new opcua.QualifiedName({
+          namespaceIndex: resolveNamespaceIndex(element, cache.namespaceArray, p.key),
+          name: element.name,
+        }),
+      })),
+    },
+  }));
+
+  const results = await session.translateBrowsePath(browsePaths);
+
+  results.forEach((result, i) => {
+    const target = result.targets?.[0];
+    if (result.statusCode.isNotGood() || !target) {
+      const label = paths[i].label || `Browse path "${paths[i].key}"`;
+      throw new Error(`${label} not found: ${result.statusCode.name}`);
+    }
+    cache.nodeIds.set(paths[i].key, target.targetId.toString());
+  });
+}
+
+/**
+ * Namespace index of a path segment, looking up namespace URIs.
+ */
+function resolveNamespaceIndex(element, namespaceArray, address) {
+  if (element.namespaceUri === undefined) return element.namespaceIndex;
+
+  const index = (namespaceArray || []).indexOf(element.namespaceUri);
+  if (index === -1) {
+    throw new Error(`Browse path "${address}": unknown namespace "${element.namespaceUri}"`);
+  }
+  return index;
+}
+
+module.exports = {
+  BROWSE_PATH_PREFIX,
+  createBrowsePathCache,
+  isBrowsePath,
+  parseBrowsePath,
+  resolveAddresses,
+  resolveAddress,
+  resolveProperties,
+  resolveOptionalProperty,
+};
@@ -18,8 +18,13 @@
 "use strict";
 
 const opcua = require("node-opcua");
+const { EventEmitter } = require("events");
 const { readFileSync } = require("fs");
 const { getClientCertificateManager } = require("./opcua-certificate-manager");
+const { createBrowsePathCache } = require("./opcua-browse-path");
+const { createDataTypeCache } = require("./opcua-datatype");
+const { createFileTypeCache } = require("./opcua-file-directory");
+const { readOperationLimits } = require("./opcua-batching");
 
 // ── Default connection strategy ────────────────────────────────────────────────
 
@@ -29,6 +34,8 @@ const DEFAULT_CONNECTION_STRATEGY = {
   maxDelay: 30_000,     // 30 seconds max between retries
 };
 
+const DEFAULT_APPLICATION_NAME = "BRDK-NodeRED-OPCUA-Client";
+
 // ── User identity resolution ───────────────────────────────────────────────────
 
 /**
@@ -116,8 +123,328 @@ function resolveSecurityPolicy(policy) {
   return map[policy] || opcua.SecurityPolicy.None;
 }
 
+// ── Connection options ─────────────────────────────────────────────────────────
+
+/**
+ * Fill in defaults for the client-side options of a connection.
+ *
+ * Nodes that end up with identical normalized options share one pooled
+ * connection, so every field that changes the OPCUAClient must be listed here.
+ *
+ * @param {object} [options]
+ * @param {string}  [options.applicationName]   - Client application name.
+ * @param {string}  [options.applicationUri]    - Client application URI.
+ * @param {boolean} [options.keepSessionAlive]  - Send keep-alive reads on idle sessions.
+ * @param {object}  [options.transportSettings] - maxChunkCount, maxMessageSize, buffer sizes.
+ * @returns {object} Normalized options.
+ */
+function normalizeConnectionOptions(options = {}) {
+  return {
+    applicationName:   options.applicationName || DEFAULT_APPLICATION_NAME,
+    applicationUri:    options.applicationUri || "",
+    keepSessionAlive:  options.keepSessionAlive === true,
+    transportSettings: options.transportSettings || null,
+  };
+}
+
+/**
+ * Build the pool key for a set of connection options.
+ *
+ * @param {object} [options] - Raw or normalized connection options.
+ * @returns {string}
+ */
+function getConnectionKey(options) {
+  const normalized = normalizeConnectionOptions(options);
+  return JSON.stringify([
+    normalized.applicationName,
+    normalized.applicationUri,
+    normalized.keepSessionAlive,
+    normalized.transportSettings,
+  ]);
+}
+
+// ── OpcuaClientConnection ──────────────────────────────────────────────────────
+
+/**
+ * A single OPCUAClient + ClientSession pair shared by every node that uses it.
+ *
+ * Connections are normally pooled by the opcua-endpoint config node (see
+ * `acquireConnection()` / `releaseConnection()` there), which reference-counts
+ * the users and closes the connection when the last one is released.
+ *
+ * Events:
+ *   - "status"          (statusKey, detail?) — key from opcua-status STATUS_MAP
+ *   - "session"         (session)            — a new session is ready for use
+ *   - "session_closed"  ()                   — the session is gone
+ *   - "session_restored"()                   — node-opcua repaired the session after a reconnect
+ *   - "connection_error"(err)                — connect or createSession failed
+ */
+class OpcuaClientConnection extends EventEmitter {
+  /**
+   * @param {object} endpointNode - The opcua-endpoint config node (or a plain
+   *   object with the same fields, for dynamic endpoints).
+   * @param {object} [options]    - See `normalizeConnectionOptions()`.
+   */
+  constructor(endpointNode, options = {}) {
+    super();
+    this.setMaxListeners(0);
+
+    this.endpointNode = endpointNode;
+    this.options      = normalizeConnectionOptions(options);
+    this.client       = null;
+    this.session      = null;
+    this.users        = new Set();
+    this.hasConnected = false;
+    this.isClosing    = false;
+    this.connecting   = null;   // Pending connect() promise
+    this.operationLimits = {};  // See opcua-batching readOperationLimits()
+
+    // Browse path translations, discovered data types and file system
+    // object types, valid for the current session only
+    this.resetSessionCaches();
+  }
+
+  /** The endpoint URL this connection talks to. */
+  get endpointUrl() {
+    return this.endpointNode?.endpoint || "";
+  }
+
+  /** True when a session exists and is not in the middle of a reconnect. */
+  get isReady() {
+    return Boolean(this.session) && !this.session.isReconnecting;
+  }
+
+  /**
+   * Connect and create a session.  Concurrent callers share the same attempt,
+   * and callers arriving after the session exists get it immediately.
+   *
+   * @returns {Promise<ClientSession>}
+   */
+  connect() {
+    if (this.session) return Promise.resolve(this.session);
+    if (!this.connecting) {
+      this.connecting = this.establish().finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  /**
+   * Wait until a session is ready, connecting if needed.  A session that
+   * node-opcua is repairing is ready again once it is restored.
+   *
+   * @param {number} timeoutMs - Give up after this many milliseconds.
+   * @returns {Promise<ClientSession>}
+   */
+  waitForSession(timeoutMs) {
+    if (this.isReady) return Promise.resolve(this.session);
+
+    return new Promise((resolve, reject) => {
+      const stopWaiting = () => {
+        clearTimeout(timer);
+        this.off("session", onSession);
+        this.off("session_restored", onRestored);
+      };
+
+      const timer = setTimeout(() => {
+        stopWaiting();
+        reject(new Error(`No session with ${this.endpointUrl} after ${timeoutMs} ms`));
+      }, timeoutMs);
+
+      const onSession = (session) => {
+        stopWaiting();
+        resolve(session);
+      };
+      const onRestored = () => onSession(this.session);
+
+      this.on("session", onSession);
+      this.on("session_restored", onRestored);
+      this.connect().catch(() => {
+        // The connection strategy keeps retrying; the timer reports failure
+      });
+    });
+  }
+
+  /**
+   * Close the session and disconnect, then connect again from scratch.
+   *
+   * @returns {Promise<ClientSession>}
+   */
+  async reconnect() {
+    await this.close({ keepSubscriptions: true });
+    this.hasConnected = false;
+    return this.connect();
+  }
+
+  /**
+   * Close the session and disconnect the client.
+   *
+   * @param {object}  [options]
+   * @param {boolean} [options.keepSubscriptions=false] - Leave the session's
+   *   subscriptions on the server, so users can transfer them to the next
+   *   session (TransferSubscriptions) while their lifetime lasts.
+   */
+  async close({ keepSubscriptions = false } = {}) {
+    this.isClosing = true;
+
+    if (this.session) {
+      const session = this.session;
+      this.session = null;
+      this.emit("session_closed");
+      try {
+        await session.close(!keepSubscriptions);
+      } catch {
+        // Session may already be closed
+      }
+    }
+
+    await this.disconnectClient();
+  }
+
+  // ── Internals ──────────────────────────────────────────────────────────
+
+  async establish() {
+    this.isClosing = false;
+
+    try {
+      if (!this.client) {
+        await this.createClient();
+        this.emit("status", "connecting");
+        try {
+          await this.client.connect(this.endpointUrl);
+        } catch (err) {
+          // Never keep a client that did not connect for the next attempt
+          await this.disconnectClient();
+          throw err;
+        }
+        this.hasConnected = true;
+        this.emit("status", "connected");
+      }
+      return await this.createSession();
+    } catch (err) {
+      this.emit("connection_error", err);
+      throw err;
+    }
+  }
+
+  async disconnectClient() {
+    if (!this.client) return;
+    const client = this.client;
+    this.client = null;
+    try {
+      client.removeAllListeners();
+      await client.disconnect();
+    } catch {
+      // Client may already be disconnected
+    }
+  }
+
+  async createClient() {
+    const certManager = getClientCertificateManager();
+    await certManager.initialize();
+
+    const clientOptions = {
+      applicationName: this.options.applicationName,
+      applicationUri: this.options.applicationUri || undefined,
+      clientCertificateManager: certManager,
+      securityMode: resolveSecurityMode(this.endpointNode.securityMode),
+      securityPolicy: resolveSecurityPolicy(this.endpointNode.securityPolicy),
+      defaultSecureTokenLifetime: 200000,
+      keepSessionAlive: this.options.keepSessionAlive,
+      requestedSessionTimeout: 60000,
+      endpointMustExist: false,
+      connectionStrategy: DEFAULT_CONNECTION_STRATEGY,
+    };
+
+    if (this.options.transportSettings) {
+      clientOptions.transportSettings = { ...this.options.transportSettings };
+    }
+
+    this.client = opcua.OPCUAClient.create(clientOptions);
+    this.emit("status", "client created");
+    this.registerClientEventHandlers();
+  }
+
+  /** Forget everything learned from the server during the previous session. */
+  resetSessionCaches() {
+    this.browsePathCache = createBrowsePathCache();
+    this.dataTypeCache   = createDataTypeCache();
+    this.fileTypeCache   = createFileTypeCache();
+  }
+
+  async createSession() {
+    const userIdentity = resolveUserIdentity(this.endpointNode);
+    const session = await this.client.createSession(userIdentity);
+
+    // Server OperationLimits (MaxNodesPerRead, …) used to split large requests
+    const operationLimits = await readOperationLimits(session);
+
+    if (this.isClosing) {
+      await session.close(true).catch(() => {});
+      throw new Error("Connection closed while creating session");
+    }
+
+    this.session = session;
+    this.operationLimits = operationLimits;
+    this.resetSessionCaches();
+
+    session.on("session_closed", () => {
+      if (this.isClosing || this.session !== session) return;
+      this.session = null;
+      this.emit("status", "session closed");
+      this.emit("session_closed");
+    });
+
+    session.on("session_restored", () => {
+      if (this.isClosing) return;
+      this.resetSessionCaches();
+      this.emit("session_restored");
+    });
+
+    this.emit("status", "session active");
+    this.emit("session", session);
+    return session;
+  }
+
+  registerClientEventHandlers() {
+    const client = this.client;
+
+    client.on("connection_reestablished", () => {
+      if (this.isClosing) return;
+      this.emit("status", "re-established");
+
+      // If the session was lost while disconnected, create a new one
+      if (!this.session) {
+        this.createSession().catch((err) => this.emit("connection_error", err));
+      }
+    });
+
+    client.on("backoff", (retryCount, delay) => {
+      if (this.isClosing) return;
+      const label = this.hasConnected ? "reconnecting" : "connecting";
+      const delaySec = (delay / 1000).toFixed(1);
+      this.emit("status", label, `attempt ${retryCount}, retry in ${delaySec}s`);
+    });
+
+    client.on("start_reconnection", () => {
+      if (this.isClosing) return;
+      this.emit("status", "reconnecting");
+    });
+
+    client.on("connection_lost", () => {
+      if (this.isClosing) return;
+      this.emit("status", "disconnected");
+    });
+  }
+}
+
 module.exports = {
   DEFAULT_CONNECTION_STRATEGY,
+  DEFAULT_APPLICATION_NAME,
+  OpcuaClientConnection,
+  normalizeConnectionOptions,
+  getConnectionKey,
   resolveUserIdentity,
   resolveSecurityMode,
   resolveSecurityPolicy,
@@ -9,6 +9,7 @@
  * ─── Design goals ──────────────────────────────────────────────────────────────
  *  • Single, well-tested module for every data-type coercion in the library.
  *  • Support for all scalar types, array types, ExtensionObjects, and Int64/UInt64.
+ *  • Structures ↔ plain JSON, driven by the server's DataTypeDefinition.
  *  • Clear, readable switch-based logic (no nested ternaries).
  *  • Explicit typed-array construction for array values.
  */
@@ -315,8 +316,313 @@ function buildDataValue(datatype, value, sourceTimestamp, statusCode) {
   return new opcua.DataValue(dvOptions);
 }
 
+// ── Attribute helpers ──────────────────────────────────────────────────────────
+
+// Data type used when writing each non-Value attribute
+const ATTRIBUTE_TYPE_MAP = {
+  [opcua.AttributeIds.BrowseName]:              "QualifiedName",
+  [opcua.AttributeIds.DisplayName]:             "LocalizedText",
+  [opcua.AttributeIds.Description]:             "LocalizedText",
+  [opcua.AttributeIds.WriteMask]:               "UInt32",
+  [opcua.AttributeIds.UserWriteMask]:           "UInt32",
+  [opcua.AttributeIds.IsAbstract]:              "Boolean",
+  [opcua.AttributeIds.Symmetric]:               "Boolean",
+  [opcua.AttributeIds.InverseName]:             "LocalizedText",
+  [opcua.AttributeIds.ContainsNoLoops]:         "Boolean",
+  [opcua.AttributeIds.EventNotifier]:           "Byte",
+  [opcua.AttributeIds.DataType]:                "NodeId",
+  [opcua.AttributeIds.ValueRank]:               "Int32",
+  [opcua.AttributeIds.ArrayDimensions]:         "UInt32 Array",
+  [opcua.AttributeIds.AccessLevel]:             "Byte",
+  [opcua.AttributeIds.UserAccessLevel]:         "Byte",
+  [opcua.AttributeIds.MinimumSamplingInterval]: "Double",
+  [opcua.AttributeIds.Historizing]:             "Boolean",
+  [opcua.AttributeIds.Executable]:              "Boolean",
+  [opcua.AttributeIds.UserExecutable]:          "Boolean",
+  [opcua.AttributeIds.AccessRestrictions]:      "UInt16",
+  [opcua.AttributeIds.AccessLevelEx]:           "UInt32",
+};
+
+/**
+ * Resolve an attribute name (e.g. "DisplayName", case-insensitive) or number
+ * to an `opcua.AttributeIds` value.  Empty means Value.
+ *
+ * @param {string|number} [attribute] - Attribute name or id.
+ * @returns {number|undefined} The attribute id, or undefined if `attribute`
+ *   is not an attribute (callers treat it as a property name, e.g. "EURange").
+ */
+function resolveAttributeId(attribute) {
+  if (attribute === undefined || attribute === null || attribute === "") {
+    return opcua.AttributeIds.Value;
+  }
+  if (typeof attribute === "number") {
+    return opcua.attributeNameById[attribute] ? attribute : undefined;
+  }
+
+  const name = String(attribute).trim().toLowerCase();
+  const match = Object.keys(opcua.AttributeIds).find(
+    (key) => isNaN(Number(key)) && key.toLowerCase() === name
+  );
+  return match ? opcua.AttributeIds[match] : undefined;
+}
+
+/**
+ * Decode a read attribute value into a JSON-friendly form:
+ * LocalizedText → text, QualifiedName → "ns:Name", NodeClass → name,
+ * DataType → type name, access levels → "CurrentRead | CurrentWrite", and
+ * structures (e.g. EURange, EngineeringUnits) → plain objects.
+ *
+ * @param {number} attributeId - The attribute that was read.
+ * @param {*}      value       - `dataValue.value.value`.
+ * @returns {*}
+ */
+function decodeAttributeValue(attributeId, value) {
+  if (value === null || value === undefined) return value;
+
+  switch (attributeId) {
+    case opcua.AttributeIds.Value:
+      return decodeExtensionObject(value);
+
+    case opcua.AttributeIds.NodeId:
+      return value.toString();
+
+    case opcua.AttributeIds.NodeClass:
+      return opcua.NodeClass[value] || value;
+
+    case opcua.AttributeIds.BrowseName:
+      return value.toString();
+
+    case opcua.AttributeIds.DisplayName:
+    case opcua.AttributeIds.Description:
+    case opcua.AttributeIds.InverseName:
+      return value.text ?? null;
+
+    case opcua.AttributeIds.DataType:
+      return resolveTypeName(value.toString());
+
+    case opcua.AttributeIds.AccessLevel:
+    case opcua.AttributeIds.UserAccessLevel:
+      return opcua.accessLevelFlagToString(value);
+
+    case opcua.AttributeIds.AccessLevelEx:
+      return opcua.accessLevelExFlagToString(value);
+
+    case opcua.AttributeIds.ArrayDimensions:
+      return Array.from(value);
+
+    default:
+      return value;
+  }
+}
+
+/**
+ * Build an `opcua.DataValue` for writing a non-Value attribute.  The data type
+ * is fixed by the attribute; access levels also accept flag strings such as
+ * "CurrentRead | CurrentWrite".
+ *
+ * @param {number} attributeId - Target attribute (not Value).
+ * @param {*}      value       - The raw value.
+ * @returns {opcua.DataValue}
+ * @throws {Error} If the attribute cannot be written.
+ */
+function buildAttributeDataValue(attributeId, value) {
+  const datatype = ATTRIBUTE_TYPE_MAP[attributeId];
+  if (!datatype) {
+    throw new Error(`Attribute ${opcua.attributeNameById[attributeId] || attributeId} is not writable`);
+  }
+
+  let raw = value;
+  if (typeof value === "string") {
+    if (attributeId === opcua.AttributeIds.AccessLevel || attributeId === opcua.AttributeIds.UserAccessLevel) {
+      raw = opcua.makeAccessLevelFlag(value);
+    } else if (attributeId === opcua.AttributeIds.AccessLevelEx) {
+      raw = opcua.makeAccessLevelExFlag(value);
+    }
+  }
+
+  return new opcua.DataValue({ value: buildVariant(datatype, raw) });
+}
+
+// ── Structures (ExtensionObjects) ──────────────────────────────────────────────
+//
+// node-opcua builds a class per structure DataType from the server's
+// DataTypeDefinition attribute (or, on older servers, the legacy type
+// dictionary) and returns values of custom structures as instances of these
+// classes.  The class schema describes the fields — nested structures,
+// arrays, optional fields and union switch values — and drives the
+// conversion between those instances and plain JSON in both directions.
+
+/**
+ * Decode a structure into plain JSON.  Nested structures and arrays of
+ * structures are decoded recursively, optional fields that are not set are
+ * omitted, and a union becomes an object with its one selected field
+ * (`{}` when none is).  Other values pass through unchanged.
+ *
+ * @param {*} value - A value read, received or returned by a method.
+ * @returns {*}
+ */
+function decodeExtensionObject(value) {
+  if (Array.isArray(value)) return value.map(decodeExtensionObject);
+  if (value instanceof opcua.Variant) return decodeExtensionObject(value.value);
+  if (!isStructure(value)) return value;
+
+  const schema = value.schema;
+  const fields = schema.fields.filter((field) => field.name !== "switchField");
+
+  if (schema.baseType === "Union") {
+    const field = fields.find((f) => f.switchValue === value.switchField);
+    return field ? { [field.name]: decodeFieldValue(value[field.name]) } : {};
+  }
+
+  const json = {};
+  for (const field of fields) {
+    const fieldValue = value[field.name];
+    if (fieldValue === undefined && field.switchBit !== undefined) continue;  // Optional, not set
+    json[field.name] = decodeFieldValue(fieldValue);
+  }
+  return json;
+}
+
+/**
+ * Encode plain JSON as a structure of the given DataType.  Fields are matched
+ * by name (`origin` or `Origin`); missing fields keep their defaults and
+ * missing optional fields stay unset.  A union takes exactly one field.
+ * Arrays encode each element; ExtensionObjects pass through.
+ *
+ * @param {ClientSession} session    - Active session (resolves the structure class).
+ * @param {NodeId|string} dataTypeId - Structure DataType NodeId.
+ * @param {object|Array|string} value - JSON object (or JSON string), or an array of them.
+ * @returns {Promise<ExtensionObject|ExtensionObject[]>}
+ * @throws {Error} On unknown fields or values that do not fit a field.
+ */
+async function encodeExtensionObject(session, dataTypeId, value) {
+  if (Array.isArray(value)) {
+    const structures = [];
+    for (const item of value) {
+      structures.push(await encodeExtensionObject(session, dataTypeId, item));
+    }
+    return structures;
+  }
+  if (isStructure(value)) return value;
+
+  const typeId = opcua.coerceNodeId(dataTypeId);
+  const template = await session.constructExtensionObject(typeId, {});
+  return session.constructExtensionObject(typeId, toStructureOptions(template.schema, parseJsonObject(value)));
+}
+
 // ── Internal helpers ───────────────────────────────────────────────────────────
 
+/**
+ * Options for the constructor of a structure from plain JSON: fields matched
+ * by name (either case of the first letter), values coerced per field.
+ *
+ * @throws {Error} On unknown fields, or more than one field of a union.
+ */
+function toStructureOptions(schema, json) {
+  const fields = schema.fields.filter((field) => field.name !== "switchField");
+  const fieldOf = (key) => fields.find((field) =>
+    field.name.toLowerCase() === key.toLowerCase() || field.originalName === key);
+
+  const keys = Object.keys(json).filter((key) => json[key] !== undefined);
+  const unknown = keys.find((key) => !fieldOf(key));
+  if (unknown) {
+    throw new Error(`Unknown field "${unknown}" in ${schema.name} (fields: ${fields.map(fieldName).join(", ")})`);
+  }
+
+  if (schema.baseType === "Union") {
+    if (keys.length > 1) {
+      throw new Error(`Union ${schema.name} takes one field, got ${keys.join(", ")}`);
+    }
+    if (keys.length === 0) return { switchField: 0 };
+    const field = fieldOf(keys[0]);
+    return { switchField: field.switchValue, [field.name]: encodeField(schema, field, json[keys[0]]) };
+  }
+
+  const options = {};
+  for (const key of keys) {
+    const field = fieldOf(key);
+    options[field.name] = encodeField(schema, field, json[key]);
+  }
+  return options;
+}
+
+/**
+ * Coerce a JSON value for a structure field (arrays element-wise).
+ */
+function encodeField(schema, field, value) {
+  if (value === null) return value;
+
+  if (field.isArray) {
+    if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+      throw new Error(`Field "${fieldName(field)}" of ${schema.name} expects an array`);
+    }
+    return Array.from(value, (item) => encodeFieldValue(schema, field, item));
+  }
+  return encodeFieldValue(schema, field, value);
+}
+
+function encodeFieldValue(schema, field, value) {
+  switch (field.category) {
+    case "complex":
+      if (isStructure(value) || !field.schema?.fields) return value;
+      return toStructureOptions(field.schema, parseJsonObject(value));
+
+    case "enumeration": {
+      const number = field.schema?.enumValues?.[value];
+      if (typeof number === "number") return number;
+      if (Number.isNaN(Number(value))) {
+        throw new Error(`Invalid value "${value}" for field "${fieldName(field)}" of ${schema.name}`);
+      }
+      return Number(value);
+    }
+
+    default: {
+      const typeName = opcua.DataType[field.basicDataType];
+      return typeName && toOpcuaDataType(typeName) !== opcua.DataType.Null
+        ? coerceScalarValue(typeName, value)
+        : value;
+    }
+  }
+}
+
+/**
+ * JSON-friendly value of a structure field: nested structures recursively,
+ * NodeIds and QualifiedNames as strings, LocalizedText as its text.
+ */
+function decodeFieldValue(value) {
+  if (value === null || value === undefined) return value;
+  if (Array.isArray(value)) return value.map(decodeFieldValue);
+  if (isStructure(value) || value instanceof opcua.Variant) {
+    return decodeExtensionObject(value);
+  }
+  if (value instanceof opcua.NodeId || value instanceof opcua.ExpandedNodeId) return value.toString();
+  if (value instanceof opcua.QualifiedName) return value.toString();
+  if (value instanceof opcua.LocalizedText) return value.text ?? null;
+  return value;
+}
+
+/**
+ * True for an instance of a structure class.  Union classes do not derive
+ * from ExtensionObject, so they are recognised by their schema.
+ */
+function isStructure(value) {
+  if (value instanceof opcua.ExtensionObject) return Boolean(value.schema?.fields);
+  return value !== null && typeof value === "object"
+    && Array.isArray(value.schema?.fields) && typeof value.encode === "function";
+}
+
+/**
+ * Name of a field as declared in the DataTypeDefinition.
+ */
+function fieldName(field) {
+  return field.originalName || field.name;
+}
+
+function parseJsonObject(value) {
+  const json = typeof value === "string" ? JSON.parse(value) : value;
+  return json && typeof json === "object" ? json : {};
+}
+
 /**
  * Clamp an integer value within [min, max].
  */
@@ -406,16 +712,18 @@ function parseToArray(value) {
  * Build subscription parameters for data monitoring.
  *
  * @param {number} publishingInterval - Publishing interval in milliseconds.
+ * @param {object} [options]          - Overrides: priority, maxKeepAliveCount,
+ *   lifetimeCount, maxNotificationsPerPublish (unset fields keep the defaults).
  * @returns {object} Subscription options for `ClientSubscription.create()`.
  */
-function buildSubscriptionParameters(publishingInterval) {
+function buildSubscriptionParameters(publishingInterval, options = {}) {
   return {
     requestedPublishingInterval: publishingInterval,
-    requestedLifetimeCount: 60,
-    requestedMaxKeepAliveCount: 10,
-    maxNotificationsPerPublish: 10,
+    requestedLifetimeCount: Number(options.lifetimeCount) || 60,
+    requestedMaxKeepAliveCount: Number(options.maxKeepAliveCount) || 10,
+    maxNotificationsPerPublish: numberOr(options.maxNotificationsPerPublish, 10),
     publishingEnabled: true,
-    priority: 10,
+    priority: numberOr(options.priority, 10),
   };
 }
 
@@ -423,19 +731,133 @@ function buildSubscriptionParameters(publishingInterval) {
  * Build subscription parameters optimized for event monitoring.
  *
  * @param {number} publishingInterval - Publishing interval in milliseconds.
+ * @param {object} [options]          - Same overrides as buildSubscriptionParameters().
  * @returns {object} Subscription options for `ClientSubscription.create()`.
  */
-function buildEventSubscriptionParameters(publishingInterval) {
+function buildEventSubscriptionParameters(publishingInterval, options = {}) {
   return {
     requestedPublishingInterval: publishingInterval,
-    requestedLifetimeCount: 120,
-    requestedMaxKeepAliveCount: 3,
-    maxNotificationsPerPublish: 4,
+    requestedLifetimeCount: Number(options.lifetimeCount) || 120,
+    requestedMaxKeepAliveCount: Number(options.maxKeepAliveCount) || 3,
+    maxNotificationsPerPublish: numberOr(options.maxNotificationsPerPublish, 4),
     publishingEnabled: true,
-    priority: 1,
+    priority: numberOr(options.priority, 1),
   };
 }
 
+/**
+ * Number of a setting that may be 0 (e.g. an unlimited
+ * maxNotificationsPerPublish); unset or non-numeric values use `fallback`.
+ */
+function numberOr(value, fallback) {
+  if (value === undefined || value === null || value === "") return fallback;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Build the monitoring parameters of one monitored item.
+ *
+ * The item's own settings override the request's: `samplingInterval`,
+ * `queueSize`, `discardOldest`, `deadbandType` ("none", "absolute" or
+ * "percent"; also "a"/"p" as in the node config), `deadbandValue` and
+ * `trigger` ("Status", "StatusValue" or "StatusValueTimestamp").  A
+ * DataChangeFilter is only sent with a deadband or a trigger, so plain
+ * subscriptions keep the server default (StatusValue, no deadband).
+ *
+ * @param {object} item       - Subscription item with optional settings.
+ * @param {object} [defaults] - The same settings for all items of a request.
+ * @returns {object} Parameters for `ClientMonitoredItem.create()`.
+ * @throws {Error} On an unknown deadband type or trigger.
+ */
+function buildMonitoringParameters(item, defaults = {}) {
+  const setting = (key) => item[key] ?? defaults[key];
+
+  const parameters = {
+    samplingInterval: Number(setting("samplingInterval") ?? 0),
+    queueSize:        Number(setting("queueSize")) || 10,
+    discardOldest:    setting("discardOldest") === undefined ? true : coerceBoolean(setting("discardOldest")),
+  };
+
+  const deadbandType = resolveDeadbandType(setting("deadbandType"));
+  const trigger = resolveDataChangeTrigger(setting("trigger"));
+  if (deadbandType !== opcua.DeadbandType.None || trigger !== undefined) {
+    parameters.filter = new opcua.DataChangeFilter({
+      trigger:       trigger ?? opcua.DataChangeTrigger.StatusValue,
+      deadbandType,
+      deadbandValue: deadbandType === opcua.DeadbandType.None ? 0 : Number(setting("deadbandValue")) || 0,
+    });
+  }
+  return parameters;
+}
+
+/**
+ * DeadbandType of a name or number; unset means no deadband.
+ */
+function resolveDeadbandType(type) {
+  if (type === undefined || type === null || type === "") return opcua.DeadbandType.None;
+  const types = {
+    none: opcua.DeadbandType.None,
+    n: opcua.DeadbandType.None,
+    absolute: opcua.DeadbandType.Absolute,
+    a: opcua.DeadbandType.Absolute,
+    percent: opcua.DeadbandType.Percent,
+    p: opcua.DeadbandType.Percent,
+  };
+  const resolved = typeof type === "number" && type >= 0 && type <= 2
+    ? type
+    : types[String(type).toLowerCase()];
+  if (resolved === undefined) {
+    throw new Error(`Unknown deadband type "${type}" (use none, absolute or percent)`);
+  }
+  return resolved;
+}
+
+/**
+ * DataChangeTrigger of a name or number; undefined when unset.
+ */
+function resolveDataChangeTrigger(trigger) {
+  if (trigger === undefined || trigger === null || trigger === "") return undefined;
+  const triggers = [
+    opcua.DataChangeTrigger.Status,
+    opcua.DataChangeTrigger.StatusValue,
+    opcua.DataChangeTrigger.StatusValueTimestamp,
+  ];
+  if (typeof trigger === "number" && triggers.includes(trigger)) return trigger;
+
+  const resolved = triggers.find((value) =>
+    opcua.DataChangeTrigger[value].toLowerCase() === String(trigger).toLowerCase());
+  if (resolved === undefined) {
+    throw new Error(`Unknown trigger "${trigger}" (use Status, StatusValue or StatusValueTimestamp)`);
+  }
+  return resolved;
+}
+
+/**
+ * MonitoringMode of a name ("Reporting", "Sampling" or "Disabled") or
+ * number; unset means Reporting.
+ *
+ * @param {string|number} [mode]
+ * @returns {number} An `opcua.MonitoringMode` value.
+ * @throws {Error} On an unknown mode.
+ */
+function resolveMonitoringMode(mode) {
+  if (mode === undefined || mode === null || mode === "") return opcua.MonitoringMode.Reporting;
+  const modes = [
+    opcua.MonitoringMode.Disabled,
+    opcua.MonitoringMode.Sampling,
+    opcua.MonitoringMode.Reporting,
+  ];
+  if (typeof mode === "number" && modes.includes(mode)) return mode;
+
+  const resolved = modes.find((value) =>
+    opcua.MonitoringMode[value].toLowerCase() === String(mode).toLowerCase());
+  if (resolved === undefined) {
+    throw new Error(`Unknown monitoring mode "${mode}" (use Reporting, Sampling or Disabled)`);
+  }
+  return resolved;
+}
+
 // ── Time conversion ────────────────────────────────────────────────────────────
 
 /**
@@ -475,9 +897,20 @@ module.exports = {
   buildVariant,
   buildDataValue,
 
+  // Structures
+  decodeExtensionObject,
+  encodeExtensionObject,
+
+  // Attributes
+  resolveAttributeId,
+  decodeAttributeValue,
+  buildAttributeDataValue,
+
   // Subscription helpers
   buildSubscriptionParameters,
   buildEventSubscriptionParameters,
+  buildMonitoringParameters,
+  resolveMonitoringMode,
 
   // Time helpers
   toMilliseconds,
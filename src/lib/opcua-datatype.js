@@ -0,0 +1,208 @@
+/**
+ * @file opcua-datatype.js
+ * @description Server-side data type discovery with a per-session cache.
+ *
+ * Writes and method calls need the exact built-in type of a value.  When a
+ * flow does not specify it, the type is discovered from the server:
+ *
+ *   - Variables:  DataType, ValueRank and ArrayDimensions attributes
+ *   - Methods:    the InputArguments / OutputArguments properties
+ *   - Enumerations: the EnumStrings / EnumValues properties (names → values)
+ *
+ * DataType NodeIds are reduced to their built-in base type by walking the
+ * HasSubtype hierarchy, so Duration → Double, UtcTime → DateTime, any
+ * Enumeration → Int32 and any Structure → ExtensionObject.  The result is a
+ * type name understood by opcua-data-converter ("Double", "Int32 Array", …).
+ *
+ * The cache is created with `createDataTypeCache()` and replaced by the
+ * shared connection on every new session.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+
+const ENUMERATION = 29;  // ns=0;i=29 — Enumeration
+
+// ── Cache ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty per-session data type cache.
+ */
+function createDataTypeCache() {
+  return {
+    nodes:        new Map(),  // Variable NodeId → type info
+    methods:      new Map(),  // Method NodeId → { inputArguments, outputArguments }
+    builtInTypes: new Map(),  // DataType NodeId → opcua.DataType
+    enums:        new Map(),  // Enumeration DataType NodeId → Map(name → value)
+  };
+}
+
+// ── Discovery ──────────────────────────────────────────────────────────────────
+
+/**
+ * Discover the types of variables.  Uncached nodes are read in one Read call.
+ *
+ * @param {ClientSession} session - Active session.
+ * @param {string[]}      nodeIds - Variable NodeIds.
+ * @param {object}        [cache] - Cache from createDataTypeCache().
+ * @returns {Promise<Array<{ datatype: string, dataTypeId: string, builtInType: number,
+ *   valueRank: number, arrayDimensions: number[]|null }>>} In the order of `nodeIds`.
+ * @throws {Error} If a node has no readable DataType (not a variable).
+ */
+async function discoverNodeTypes(session, nodeIds, cache = createDataTypeCache()) {
+  const pending = [...new Set(nodeIds.filter((nodeId) => !cache.nodes.has(nodeId)))];
+
+  if (pending.length > 0) {
+    const nodesToRead = pending.flatMap((nodeId) => [
+      { nodeId, attributeId: opcua.AttributeIds.DataType },
+      { nodeId, attributeId: opcua.AttributeIds.ValueRank },
+      { nodeId, attributeId: opcua.AttributeIds.ArrayDimensions },
+    ]);
+    const dataValues = await session.read(nodesToRead);
+
+    for (const [i, nodeId] of pending.entries()) {
+      const [dataType, valueRank, arrayDimensions] = dataValues.slice(i * 3, i * 3 + 3);
+      if (dataType.statusCode.isNotGood() || !dataType.value?.value) {
+        throw new Error(`Cannot discover data type of ${nodeId}: ${dataType.statusCode.name}`);
+      }
+
+      const dataTypeId = dataType.value.value;
+      const builtInType = await resolveBuiltInType(session, dataTypeId, cache);
+      const rank = valueRank.value?.value ?? -1;
+
+      cache.nodes.set(nodeId, {
+        datatype:        toTypeName(builtInType, rank),
+        dataTypeId:      dataTypeId.toString(),
+        builtInType,
+        valueRank:       rank,
+        arrayDimensions: arrayDimensions.value?.value ? Array.from(arrayDimensions.value.value) : null,
+      });
+    }
+  }
+
+  return nodeIds.map((nodeId) => cache.nodes.get(nodeId));
+}
+
+/**
+ * Discover the argument types of a method.
+ *
+ * @param {ClientSession} session  - Active session.
+ * @param {string}        methodId - Method NodeId.
+ * @param {object}        [cache]  - Cache from createDataTypeCache().
+ * @returns {Promise<{ inputArguments: object[], outputArguments: object[] }>}
+ *   Each argument is `{ name, datatype, dataTypeId, valueRank, description }`.
+ */
+async function discoverMethodArguments(session, methodId, cache = createDataTypeCache()) {
+  if (!cache.methods.has(methodId)) {
+    const definition = await session.getArgumentDefinition(opcua.coerceNodeId(methodId));
+
+    const describe = async (args) => {
+      const result = [];
+      for (const arg of args || []) {
+        const builtInType = await resolveBuiltInType(session, arg.dataType, cache);
+        result.push({
+          name:        arg.name,
+          datatype:    toTypeName(builtInType, arg.valueRank),
+          dataTypeId:  arg.dataType.toString(),
+          valueRank:   arg.valueRank,
+          description: arg.description?.text || "",
+        });
+      }
+      return result;
+    };
+
+    cache.methods.set(methodId, {
+      inputArguments:  await describe(definition.inputArguments),
+      outputArguments: await describe(definition.outputArguments),
+    });
+  }
+
+  return cache.methods.get(methodId);
+}
+
+/**
+ * Discover the names of an enumeration from its EnumStrings or EnumValues
+ * property.
+ *
+ * @param {ClientSession} session    - Active session.
+ * @param {NodeId|string} dataTypeId - Enumeration DataType NodeId.
+ * @param {object}        [cache]    - Cache from createDataTypeCache().
+ * @returns {Promise<Map<string, number>>} Name → value; empty when the type
+ *   has neither property (not an enumeration).
+ */
+async function discoverEnumValues(session, dataTypeId, cache = createDataTypeCache()) {
+  const nodeId = opcua.coerceNodeId(dataTypeId);
+  const key = nodeId.toString();
+
+  if (!cache.enums.has(key)) {
+    const names = new Map();
+    const results = await session.translateBrowsePath([
+      opcua.makeBrowsePath(nodeId, "/EnumStrings"),
+      opcua.makeBrowsePath(nodeId, "/EnumValues"),
+    ]);
+    const [enumStrings, enumValues] = results.map((result) => result.targets?.[0]?.targetId);
+
+    if (enumStrings) {
+      const dataValue = await session.read({ nodeId: enumStrings, attributeId: opcua.AttributeIds.Value });
+      for (const [value, text] of Array.from(dataValue.value?.value || []).entries()) {
+        names.set(text.text, value);
+      }
+    } else if (enumValues) {
+      const dataValue = await session.read({ nodeId: enumValues, attributeId: opcua.AttributeIds.Value });
+      for (const item of dataValue.value?.value || []) {
+        names.set(item.displayName?.text, opcua.coerceInt64toInt32(item.value));
+      }
+    }
+    cache.enums.set(key, names);
+  }
+
+  return cache.enums.get(key);
+}
+
+/**
+ * Reduce a DataType NodeId to its built-in type by walking up HasSubtype.
+ *
+ * @param {ClientSession}  session    - Active session.
+ * @param {NodeId|string}  dataTypeId - DataType NodeId.
+ * @param {object}         [cache]    - Cache from createDataTypeCache().
+ * @returns {Promise<number>} An `opcua.DataType` value.
+ */
+async function resolveBuiltInType(session, dataTypeId, cache = createDataTypeCache()) {
+  const nodeId = opcua.coerceNodeId(dataTypeId);
+  const key = nodeId.toString();
+
+  if (!cache.builtInTypes.has(key)) {
+    let builtInType;
+    if (nodeId.namespace === 0 && nodeId.value === ENUMERATION) {
+      builtInType = opcua.DataType.Int32;
+    } else if (nodeId.namespace === 0 && typeof nodeId.value === "number"
+      && nodeId.value <= opcua.DataType.DiagnosticInfo) {
+      builtInType = nodeId.value;
+    } else {
+      const superTypeId = await opcua.findSuperType(session, nodeId);
+      builtInType = await resolveBuiltInType(session, superTypeId, cache);
+    }
+    cache.builtInTypes.set(key, builtInType);
+  }
+
+  return cache.builtInTypes.get(key);
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Converter type name for a built-in type and value rank, e.g. "Int32 Array".
+ */
+function toTypeName(builtInType, valueRank) {
+  const name = opcua.DataType[builtInType] || "Variant";
+  return valueRank >= 0 ? `${name} Array` : name;
+}
+
+module.exports = {
+  createDataTypeCache,
+  discoverNodeTypes,
+  discoverMethodArguments,
+  discoverEnumValues,
+  resolveBuiltInType,
+};
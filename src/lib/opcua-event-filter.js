@@ -0,0 +1,249 @@
+/**
+ * @file opcua-event-filter.js
+ * @description EventFilter construction with where-clauses.
+ *
+ * Event subscriptions and event history reads select fields with an
+ * EventFilter.  Without a where-clause the server delivers every event of
+ * the notifier, including audit and system events.  `buildEventFilter()`
+ * adds a where-clause from simple options:
+ *
+ *   eventTypeIds  — OfType, events of these types and their subtypes
+ *   minSeverity   — Severity >= minSeverity
+ *   sourceNodes   — SourceNode equals one of these NodeIds
+ *   sourceNames   — SourceName equals one of these names ("*" wildcards use Like)
+ *   where         — further conditions, e.g.
+ *                   [{ field: "Severity", operator: "<", value: 800 },
+ *                    { or: [{ field: "2:Area", operator: "==", value: "Press" }, …] }]
+ *                   or a ContentFilter built with node-opcua
+ *
+ * All options are combined with AND.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const converter = require("./opcua-data-converter");
+
+const BASE_EVENT_TYPE = "i=2041";  // ns=0;i=2041 — BaseEventType
+
+// Data types of BaseEventType fields compared in conditions
+const FIELD_TYPES = {
+  EventId:     "ByteString",
+  EventType:   "NodeId",
+  SourceNode:  "NodeId",
+  SourceName:  "String",
+  Time:        "DateTime",
+  ReceiveTime: "DateTime",
+  Severity:    "UInt16",
+};
+
+// Operator symbols accepted in conditions besides the FilterOperator names
+const OPERATOR_ALIASES = {
+  "==": "Equals",
+  "=":  "Equals",
+  "<":  "LessThan",
+  "<=": "LessThanOrEqual",
+  ">":  "GreaterThan",
+  ">=": "GreaterThanOrEqual",
+};
+
+/**
+ * Build an EventFilter for the given select fields and filter options.
+ *
+ * @param {Array<string>} fields    - Select fields (see constructEventFilter()).
+ * @param {object}        [options]
+ * @param {string|string[]} [options.eventTypeIds] - Event type NodeIds; BaseEventType matches all.
+ * @param {number}          [options.minSeverity]  - Minimum Severity (1–1000).
+ * @param {string|string[]} [options.sourceNodes]  - SourceNode NodeIds.
+ * @param {string|string[]} [options.sourceNames]  - SourceName values or "*" patterns.
+ * @param {object|object[]} [options.where]        - Conditions or a ContentFilter.
+ * @returns {EventFilter}
+ * @throws {Error} On an invalid condition.
+ */
+function buildEventFilter(fields, options = {}) {
+  const whereClause = buildWhereClause(options);
+  return whereClause
+    ? opcua.constructEventFilter(fields, whereClause)
+    : opcua.constructEventFilter(fields);
+}
+
+/**
+ * Build the where-clause of `buildEventFilter()`.
+ *
+ * @returns {ContentFilter|undefined} Undefined when no option filters events.
+ */
+function buildWhereClause(options = {}) {
+  const conditions = [];
+
+  const eventTypeIds = toList(options.eventTypeIds)
+    .filter((nodeId) => opcua.resolveNodeId(nodeId).toString() !== opcua.resolveNodeId(BASE_EVENT_TYPE).toString());
+  if (eventTypeIds.length > 0) {
+    conditions.push(combine(opcua.FilterOperator.Or, eventTypeIds.map((nodeId) => opcua.ofType(nodeId))));
+  }
+
+  if (Number(options.minSeverity) > 0) {
+    conditions.push(compare("GreaterThanOrEqual", "Severity", Number(options.minSeverity)));
+  }
+
+  const sourceNodes = toList(options.sourceNodes);
+  if (sourceNodes.length > 0) {
+    conditions.push(sourceNodes.length === 1
+      ? compare("Equals", "SourceNode", sourceNodes[0])
+      : new opcua.ContentFilterElement({
+        filterOperator: opcua.FilterOperator.InList,
+        filterOperands: [field("SourceNode"), ...sourceNodes.map((nodeId) => literal("SourceNode", nodeId))],
+      }));
+  }
+
+  const sourceNames = toList(options.sourceNames);
+  if (sourceNames.length > 0) {
+    conditions.push(combine(opcua.FilterOperator.Or, sourceNames.map((name) => (name.includes("*")
+      ? compare("Like", "SourceName", name.replace(/\*/g, "%"))
+      : compare("Equals", "SourceName", name)))));
+  }
+
+  if (options.where) {
+    conditions.push(options.where.elements
+      ? contentFilterToElement(options.where)
+      : combine(opcua.FilterOperator.And, toList(options.where).map(buildCondition)));
+  }
+
+  if (conditions.length === 0) return undefined;
+  return opcua.makeContentFilter(combine(opcua.FilterOperator.And, conditions));
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Filter element of a user condition:
+ * `{ field, operator, value, dataType? }`, `{ or: [conditions] }`,
+ * `{ and: [conditions] }` or `{ not: condition }`.
+ */
+function buildCondition(condition) {
+  if (Array.isArray(condition.or)) {
+    return combine(opcua.FilterOperator.Or, condition.or.map(buildCondition));
+  }
+  if (Array.isArray(condition.and)) {
+    return combine(opcua.FilterOperator.And, condition.and.map(buildCondition));
+  }
+  if (condition.not) {
+    return new opcua.ContentFilterElement({
+      filterOperator: opcua.FilterOperator.Not,
+      filterOperands: [buildCondition(condition.not)],
+    });
+  }
+
+  if (!condition.field) {
+    throw new Error(`Event filter condition without field: ${JSON.stringify(condition)}`);
+  }
+
+  const operator = String(condition.operator || "Equals");
+  if (operator === "!=" || operator === "<>") {
+    return new opcua.ContentFilterElement({
+      filterOperator: opcua.FilterOperator.Not,
+      filterOperands: [compare("Equals", condition.field, condition.value, condition.dataType)],
+    });
+  }
+
+  return compare(operator, condition.field, condition.value, condition.dataType);
+}
+
+/**
+ * Filter element comparing an event field, e.g. `Severity >= 500`.
+ * Between takes `[low, high]`, InList an array of values, IsNull no value.
+ */
+function compare(operator, fieldName, value, dataType) {
+  const filterOperator = resolveOperator(operator);
+
+  let operands;
+  if (filterOperator === opcua.FilterOperator.IsNull) {
+    operands = [];
+  } else if (filterOperator === opcua.FilterOperator.Between || filterOperator === opcua.FilterOperator.InList) {
+    operands = toList(value).map((v) => literal(fieldName, v, dataType));
+  } else {
+    operands = [literal(fieldName, value, dataType)];
+  }
+
+  return new opcua.ContentFilterElement({
+    filterOperator,
+    filterOperands: [field(fieldName), ...operands],
+  });
+}
+
+/**
+ * FilterOperator of a name ("GreaterThan", "greaterthan") or symbol (">").
+ */
+function resolveOperator(operator) {
+  const name = OPERATOR_ALIASES[operator] || operator;
+  const key = Object.keys(opcua.FilterOperator)
+    .find((k) => Number.isNaN(Number(k)) && k.toLowerCase() === String(name).toLowerCase());
+  if (!key) {
+    throw new Error(`Unknown event filter operator "${operator}"`);
+  }
+  return opcua.FilterOperator[key];
+}
+
+/**
+ * Operand selecting an event field, e.g. "Severity" or "2:Area".
+ */
+function field(fieldName) {
+  return new opcua.SimpleAttributeOperand({
+    typeDefinitionId: opcua.resolveNodeId(BASE_EVENT_TYPE),
+    browsePath: opcua.constructSimpleBrowsePath(fieldName),
+    attributeId: opcua.AttributeIds.Value,
+  });
+}
+
+/**
+ * Literal operand typed by `dataType`, the known type of the field, or the
+ * JavaScript type of the value.
+ */
+function literal(fieldName, value, dataType) {
+  const type = dataType || FIELD_TYPES[fieldName] || inferDataType(value);
+  return new opcua.LiteralOperand({ value: converter.buildVariant(type, value) });
+}
+
+function inferDataType(value) {
+  if (typeof value === "boolean") return "Boolean";
+  if (typeof value === "number") return "Double";
+  if (value instanceof Date) return "DateTime";
+  return "String";
+}
+
+/**
+ * Combine elements with a binary And/Or into a single element.
+ */
+function combine(filterOperator, elements) {
+  return elements.reduce((left, right) => new opcua.ContentFilterElement({
+    filterOperator,
+    filterOperands: [left, right],
+  }));
+}
+
+/**
+ * Turn a flat ContentFilter (ElementOperand references) back into a nested
+ * element, so it can be combined with other conditions.
+ */
+function contentFilterToElement(contentFilter) {
+  const elements = contentFilter.elements;
+  const nest = (index) => {
+    const element = elements[index];
+    return new opcua.ContentFilterElement({
+      filterOperator: element.filterOperator,
+      filterOperands: (element.filterOperands || []).map((operand) => (
+        operand instanceof opcua.ElementOperand ? nest(operand.index) : operand
+      )),
+    });
+  };
+  return nest(0);
+}
+
+function toList(value) {
+  if (value === undefined || value === null || value === "") return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+module.exports = {
+  buildEventFilter,
+  buildWhereClause,
+};
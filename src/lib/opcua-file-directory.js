@@ -0,0 +1,289 @@
+/**
+ * @file opcua-file-directory.js
+ * @description File system browsing on FileDirectoryType objects (OPC 10000-5 Annex C.3).
+ *
+ * Servers expose directories as FileDirectoryType objects that organise
+ * FileType objects and further directories; the standard FileSystem object
+ * (i=16314) is the root of the server's file system.  `listDirectory()`
+ * browses a directory (optionally recursively) and reads the Size and
+ * Writable properties of its files.  The other functions call the
+ * FileDirectoryType methods CreateDirectory, CreateFile, Delete and
+ * MoveOrCopy.
+ *
+ * As for condition methods (see opcua-alarms), a method is called on the
+ * directory instance and falls back to the method of the type when the
+ * instance does not expose it.
+ *
+ * Whether an object type is a directory or file type is cached per session
+ * in a cache created with `createFileTypeCache()`; the shared connection
+ * replaces it on every new session.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const browsePath = require("./opcua-browse-path");
+const { runInChunks } = require("./opcua-batching");
+const { uint64ToNumber } = require("./opcua-file-transfer");
+
+const FILE_SYSTEM = "i=16314";           // ns=0;i=16314 — Server FileSystem object
+const BASE_OBJECT_TYPE = "ns=0;i=58";
+
+const FILE_DIRECTORY_TYPE = opcua.resolveNodeId(opcua.ObjectTypeIds.FileDirectoryType).toString();
+const FILE_TYPE           = opcua.resolveNodeId(opcua.ObjectTypeIds.FileType).toString();
+
+// Method browse names → MethodIds of FileDirectoryType
+const DIRECTORY_METHODS = {
+  CreateDirectory: opcua.MethodIds.FileDirectoryType_CreateDirectory,
+  CreateFile:      opcua.MethodIds.FileDirectoryType_CreateFile,
+  Delete:          opcua.MethodIds.FileDirectoryType_DeleteFileSystemObject,
+  MoveOrCopy:      opcua.MethodIds.FileDirectoryType_MoveOrCopy,
+};
+
+// ── Cache ──────────────────────────────────────────────────────────────────────
+
+/**
+ * Create an empty per-session cache of object type kinds.
+ *
+ * @returns {Map<string, string|null>} Object type NodeId → "directory",
+ *   "file" or null (subtypes included).
+ */
+function createFileTypeCache() {
+  return new Map();
+}
+
+// ── Directories ────────────────────────────────────────────────────────────────
+
+/**
+ * List the files and directories of a directory.
+ *
+ * @param {ClientSession} session
+ * @param {string}        [directoryId="i=16314"] - FileDirectoryType object.
+ * @param {object}  [options]
+ * @param {boolean} [options.recursive=false] - Include subdirectories.
+ * @param {object}  [options.limits] - OperationLimits of the session (see
+ *   opcua-batching), to read the file properties in chunks.
+ * @param {Map}     [options.typeCache] - Cache from createFileTypeCache().
+ * @returns {Promise<Array<{ name: string, path: string, type: string,
+ *   nodeId: string, size?: number|null, writable?: boolean|null }>>}
+ *   `path` is relative to the listed directory, e.g. "recipes/a.csv";
+ *   `type` is "directory" or "file".  Directories precede their contents.
+ */
+async function listDirectory(session, directoryId = FILE_SYSTEM, options = {}) {
+  const entries = [];
+  const typeCache = options.typeCache || createFileTypeCache();
+
+  const walk = async (nodeId, parentPath) => {
+    const result = await opcua.browseAll(session, {
+      nodeId: opcua.resolveNodeId(nodeId),
+      browseDirection: opcua.BrowseDirection.Forward,
+      referenceTypeId: "HierarchicalReferences",
+      includeSubtypes: true,
+      nodeClassMask: opcua.NodeClassMask.Object,
+      resultMask: 0x3F,
+    });
+    if (result.statusCode.isNotGood()) {
+      throw new Error(`Cannot browse directory ${nodeId}: ${result.statusCode.name}`);
+    }
+
+    for (const ref of result.references || []) {
+      const type = await resolveKind(session, ref.typeDefinition, typeCache);
+      if (!type) continue;
+
+      const name = ref.browseName.name;
+      const path = parentPath ? `${parentPath}/${name}` : name;
+      entries.push({ name, path, type, nodeId: ref.nodeId.toString() });
+
+      if (type === "directory" && options.recursive) {
+        await walk(ref.nodeId, path);
+      }
+    }
+  };
+
+  await walk(directoryId, "");
+  await readFileProperties(session, entries.filter((entry) => entry.type === "file"), options.limits || {});
+  return entries;
+}
+
+/**
+ * Create a subdirectory.
+ *
+ * @returns {Promise<string>} NodeId of the new directory.
+ */
+async function createDirectory(session, directoryId, name, cache) {
+  const [nodeId] = await callDirectoryMethod(session, directoryId, "CreateDirectory", [
+    { dataType: opcua.DataType.String, value: name },
+  ], cache);
+  return nodeId.toString();
+}
+
+/**
+ * Create an empty file (without opening it).
+ *
+ * @returns {Promise<string>} NodeId of the new file.
+ */
+async function createFile(session, directoryId, name, cache) {
+  const [nodeId] = await callDirectoryMethod(session, directoryId, "CreateFile", [
+    { dataType: opcua.DataType.String, value: name },
+    { dataType: opcua.DataType.Boolean, value: false },
+  ], cache);
+  return nodeId.toString();
+}
+
+/**
+ * Delete a file or directory (with its contents).
+ *
+ * @param {string} directoryId - Directory containing the object.
+ * @param {string} objectId    - File or directory to delete.
+ * @returns {Promise<void>}
+ */
+async function deleteFileSystemObject(session, directoryId, objectId, cache) {
+  await callDirectoryMethod(session, directoryId, "Delete", [
+    { dataType: opcua.DataType.NodeId, value: opcua.resolveNodeId(objectId) },
+  ], cache);
+}
+
+/**
+ * Move or copy a file or directory.
+ *
+ * @param {string} directoryId       - Directory containing the object.
+ * @param {string} objectId          - File or directory to move or copy.
+ * @param {string} targetDirectoryId - Destination directory.
+ * @param {object}  [options]
+ * @param {boolean} [options.copy=false] - Copy instead of move.
+ * @param {string}  [options.newName]    - New name (default: keep the name).
+ * @returns {Promise<string>} NodeId of the moved object or copy.
+ */
+async function moveOrCopy(session, directoryId, objectId, targetDirectoryId, options = {}, cache) {
+  const [nodeId] = await callDirectoryMethod(session, directoryId, "MoveOrCopy", [
+    { dataType: opcua.DataType.NodeId, value: opcua.resolveNodeId(objectId) },
+    { dataType: opcua.DataType.NodeId, value: opcua.resolveNodeId(targetDirectoryId) },
+    { dataType: opcua.DataType.Boolean, value: options.copy === true },
+    { dataType: opcua.DataType.String, value: options.newName || "" },
+  ], cache);
+  return nodeId.toString();
+}
+
+/**
+ * Find the directory that contains a file or directory.
+ *
+ * @param {Map} [typeCache] - Cache from createFileTypeCache().
+ * @returns {Promise<string>} NodeId of the parent directory.
+ * @throws {Error} If no parent is a FileDirectoryType object.
+ */
+async function findParentDirectory(session, objectId, typeCache = createFileTypeCache()) {
+  const result = await opcua.browseAll(session, {
+    nodeId: opcua.resolveNodeId(objectId),
+    browseDirection: opcua.BrowseDirection.Inverse,
+    referenceTypeId: "HierarchicalReferences",
+    includeSubtypes: true,
+    nodeClassMask: opcua.NodeClassMask.Object,
+    resultMask: 0x3F,
+  });
+
+  for (const ref of result.references || []) {
+    if (await resolveKind(session, ref.typeDefinition, typeCache) === "directory") {
+      return ref.nodeId.toString();
+    }
+  }
+  throw new Error(`No parent directory found for ${objectId}`);
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Call a FileDirectoryType method and return its output values.
+ *
+ * @throws {Error} If the call fails, e.g. BadBrowseNameDuplicated.
+ */
+async function callDirectoryMethod(session, directoryId, methodName, inputArguments, cache) {
+  const methodId = await browsePath.resolveOptionalProperty(session, directoryId, methodName, cache)
+    || opcua.resolveNodeId(DIRECTORY_METHODS[methodName]).toString();
+
+  const result = await session.call({
+    objectId: opcua.resolveNodeId(directoryId),
+    methodId: opcua.resolveNodeId(methodId),
+    inputArguments,
+  });
+  if (result.statusCode.isNotGood()) {
+    throw new Error(`${methodName} failed: ${result.statusCode.name}`);
+  }
+  return (result.outputArguments || []).map((variant) => variant.value);
+}
+
+/**
+ * "directory" for FileDirectoryType, "file" for FileType (and their
+ * subtypes, found by walking HasSubtype up), otherwise null.
+ */
+async function resolveKind(session, typeDefinition, kinds) {
+  if (!typeDefinition) return null;
+
+  const key = typeDefinition.toString();
+  if (!kinds.has(key)) {
+    let kind = null;
+    let current = opcua.resolveNodeId(typeDefinition);
+    while (current && current.toString() !== BASE_OBJECT_TYPE) {
+      const id = current.toString();
+      if (id === FILE_DIRECTORY_TYPE) { kind = "directory"; break; }
+      if (id === FILE_TYPE) { kind = "file"; break; }
+
+      const result = await session.browse({
+        nodeId: current,
+        browseDirection: opcua.BrowseDirection.Inverse,
+        referenceTypeId: "HasSubtype",
+        includeSubtypes: false,
+        resultMask: 0,
+      });
+      current = result.references?.[0]?.nodeId;
+    }
+    kinds.set(key, kind);
+  }
+  return kinds.get(key);
+}
+
+/**
+ * Add `size` and `writable` to file entries (null when not readable).
+ */
+async function readFileProperties(session, files, limits) {
+  if (files.length === 0) return;
+
+  const properties = ["Size", "Writable"];
+  const results = await runInChunks(
+    files.flatMap((file) => properties.map((property) =>
+      opcua.makeBrowsePath(opcua.resolveNodeId(file.nodeId), `/${property}`)
+    )),
+    limits.maxNodesPerTranslateBrowsePathsToNodeIds,
+    (paths) => session.translateBrowsePath(paths)
+  );
+
+  const nodeIds = results.map((result) => result.targets?.[0]?.targetId);
+  const found = nodeIds.filter(Boolean);
+  const dataValues = await runInChunks(
+    found.map((nodeId) => ({ nodeId, attributeId: opcua.AttributeIds.Value })),
+    limits.maxNodesPerRead,
+    (nodesToRead) => session.read(nodesToRead)
+  );
+
+  let next = 0;
+  const values = nodeIds.map((nodeId) => {
+    if (!nodeId) return null;
+    const dataValue = dataValues[next++];
+    return dataValue.statusCode.isGood() ? dataValue.value.value : null;
+  });
+
+  files.forEach((file, i) => {
+    file.size = values[i * 2] === null ? null : uint64ToNumber(values[i * 2]);
+    file.writable = values[i * 2 + 1];
+  });
+}
+
+module.exports = {
+  FILE_SYSTEM,
+  createFileTypeCache,
+  listDirectory,
+  createDirectory,
+  createFile,
+  deleteFileSystemObject,
+  moveOrCopy,
+  findParentDirectory,
+};
@@ -0,0 +1,216 @@
+/**
+ * @file opcua-file-transfer.js
+ * @description Chunked transfer of FileType objects (OPC 10000-5 Annex C).
+ *
+ * The FileType methods Read and Write move one ByteString per call, and each
+ * call has to fit into a single message of the secure channel.  Reading
+ * `Size` bytes at once therefore fails for large files on servers with small
+ * message sizes.  `readFileChunks()` and `writeFileChunks()` move a file in
+ * chunks of at most `chunkSize` bytes (capped by the channel's maximum
+ * message size), from an offset (SetPosition) or appended to the end, and
+ * hash the transferred bytes so the transfer can be verified.
+ */
+
+"use strict";
+
+const crypto = require("crypto");
+const opcua = require("node-opcua");
+const { ClientFile, OpenFileMode } = require("node-opcua-file-transfer");
+
+const DEFAULT_CHUNK_SIZE = 64 * 1024;
+const DEFAULT_CHECKSUM_ALGORITHM = "sha256";
+
+// Room for the message header and method-call encoding around a chunk
+const MESSAGE_OVERHEAD = 1024;
+
+// writefile modes → OpenFileMode
+const WRITE_MODES = {
+  overwrite: OpenFileMode.WriteEraseExisting,
+  append:    OpenFileMode.WriteAppend,
+  offset:    OpenFileMode.Write,
+};
+
+/**
+ * Chunk size for a transfer: the requested size (default 64 KiB), capped so
+ * that a chunk fits into one message of the session's secure channel.
+ *
+ * @param {ClientSession} session
+ * @param {number}        [chunkSize] - Requested chunk size in bytes.
+ * @returns {number}
+ */
+function resolveChunkSize(session, chunkSize) {
+  let size = Number(chunkSize) > 0 ? Math.floor(Number(chunkSize)) : DEFAULT_CHUNK_SIZE;
+  const maxMessageSize = session.getTransportSettings?.().maxMessageSize || 0;
+  if (maxMessageSize > MESSAGE_OVERHEAD) {
+    size = Math.min(size, maxMessageSize - MESSAGE_OVERHEAD);
+  }
+  return size;
+}
+
+/**
+ * Size of a file in bytes.
+ *
+ * @param {ClientSession} session
+ * @param {string}        fileNodeId - NodeId of the FileType object.
+ * @returns {Promise<number>}
+ */
+async function readFileSize(session, fileNodeId) {
+  const file = new ClientFile(session, opcua.coerceNodeId(fileNodeId));
+  return uint64ToNumber(await file.size());
+}
+
+/**
+ * Read a file in chunks.
+ *
+ * @param {ClientSession} session
+ * @param {string}        fileNodeId - NodeId of the FileType object.
+ * @param {object} [options]
+ * @param {number} [options.chunkSize] - See resolveChunkSize().
+ * @param {number} [options.offset=0] - Position to start reading at.
+ * @param {number} [options.length]   - Bytes to read (default: to the end).
+ * @yields {{ chunk: Buffer, transferred: number, total: number }} `total` is
+ *   the number of bytes the read will return.
+ */
+async function* readFileChunks(session, fileNodeId, options = {}) {
+  const file = new ClientFile(session, opcua.coerceNodeId(fileNodeId));
+  const chunkSize = resolveChunkSize(session, options.chunkSize);
+
+  await file.open(OpenFileMode.Read);
+  try {
+    const size = uint64ToNumber(await file.size());
+    const offset = Math.min(Math.max(Number(options.offset) || 0, 0), size);
+    const end = Number(options.length) > 0 ? Math.min(size, offset + Number(options.length)) : size;
+    if (offset > 0) {
+      await file.setPosition(offset);
+    }
+
+    let transferred = 0;
+    while (offset + transferred < end) {
+      const chunk = await file.read(Math.min(chunkSize, end - offset - transferred));
+      if (!chunk || chunk.length === 0) break;   // File shrank while reading
+      transferred += chunk.length;
+      yield { chunk, transferred, total: end - offset };
+    }
+  } finally {
+    await closeQuietly(file);
+  }
+}
+
+/**
+ * Write a file in chunks.
+ *
+ * @param {ClientSession} session
+ * @param {string}        fileNodeId - NodeId of the FileType object.
+ * @param {Buffer|AsyncIterable<Buffer>} source - Data, or a stream such as
+ *   `fs.createReadStream()`; it is re-chunked to `chunkSize`.
+ * @param {object} [options]
+ * @param {string} [options.mode="overwrite"] - "overwrite" (erase the file
+ *   first), "append" or "offset" (write from `options.offset`).
+ * @param {number} [options.offset]    - Start position in "offset" mode.
+ * @param {number} [options.chunkSize] - See resolveChunkSize().
+ * @param {string} [options.algorithm="sha256"] - Hash of the written bytes.
+ * @param {Function} [options.onProgress] - `(transferred) => void` after each chunk.
+ * @returns {Promise<{ position: number, transferred: number, checksum: string }>}
+ *   `position` is where the write started.
+ * @throws {Error} On an unknown mode.
+ */
+async function writeFileChunks(session, fileNodeId, source, options = {}) {
+  const mode = options.mode || "overwrite";
+  if (WRITE_MODES[mode] === undefined) {
+    throw new Error(`Unknown file write mode "${mode}" (use overwrite, append or offset)`);
+  }
+
+  const file = new ClientFile(session, opcua.coerceNodeId(fileNodeId));
+  const chunkSize = resolveChunkSize(session, options.chunkSize);
+  const hash = crypto.createHash(options.algorithm || DEFAULT_CHECKSUM_ALGORITHM);
+
+  await file.open(WRITE_MODES[mode]);
+  try {
+    if (mode === "offset") {
+      await file.setPosition(Math.max(Number(options.offset) || 0, 0));
+    }
+    const position = uint64ToNumber(await file.getPosition());
+
+    let transferred = 0;
+    const writeChunk = async (chunk) => {
+      await file.write(chunk);
+      hash.update(chunk);
+      transferred += chunk.length;
+      if (options.onProgress) options.onProgress(transferred);
+    };
+
+    let pending = Buffer.alloc(0);
+    for await (const data of Buffer.isBuffer(source) ? [source] : source) {
+      pending = pending.length > 0 ? Buffer.concat([pending, data]) : data;
+      while (pending.length >= chunkSize) {
+        await writeChunk(pending.subarray(0, chunkSize));
+        pending = pending.subarray(chunkSize);
+      }
+    }
+    if (pending.length > 0) {
+      await writeChunk(pending);
+    }
+
+    return { position, transferred, checksum: hash.digest("hex") };
+  } finally {
+    await closeQuietly(file);
+  }
+}
+
+/**
+ * Hash a range of a file on the server, e.g. to verify a write.
+ *
+ * @param {ClientSession} session
+ * @param {string}        fileNodeId
+ * @param {object} [options] - `offset`, `length` and `chunkSize` as for
+ *   readFileChunks(), and `algorithm` (default "sha256").
+ * @returns {Promise<string>} Hex digest.
+ */
+async function hashFile(session, fileNodeId, options = {}) {
+  const hash = crypto.createHash(options.algorithm || DEFAULT_CHECKSUM_ALGORITHM);
+  for await (const { chunk } of readFileChunks(session, fileNodeId, options)) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+/**
+ * Create a hash for the bytes of a transfer.
+ *
+ * @param {string} [algorithm="sha256"] - Any algorithm of `crypto.createHash()`.
+ * @returns {Hash}
+ */
+function createChecksum(algorithm) {
+  return crypto.createHash(algorithm || DEFAULT_CHECKSUM_ALGORITHM);
+}
+
+/**
+ * Convert a UInt64 (`[high, low]` 32-bit words), e.g. a file Size, to a number.
+ */
+function uint64ToNumber(value) {
+  if (Array.isArray(value)) return value[0] * 0x100000000 + value[1];
+  return Number(value) || 0;
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Close a file handle; a failing Close must not hide the transfer's error.
+ */
+async function closeQuietly(file) {
+  try {
+    await file.close();
+  } catch {
+    // Handle already invalid (e.g. session lost)
+  }
+}
+
+module.exports = {
+  resolveChunkSize,
+  readFileSize,
+  readFileChunks,
+  writeFileChunks,
+  hashFile,
+  createChecksum,
+  uint64ToNumber,
+};
@@ -0,0 +1,272 @@
+/**
+ * @file opcua-history.js
+ * @description HistoryRead with continuation points, and HistoryUpdate.
+ *
+ * A single HistoryRead returns at most one page per node; the server hands
+ * back a continuation point when more data is available.  `readHistoryPages()`
+ * follows those continuation points until every node is complete (or its
+ * `maxValues` cap is reached) and yields each page as it arrives, so callers
+ * can stream long time ranges without holding them in memory.
+ *
+ * `resolveAggregate()` maps aggregate names ("Average", "TimeAverage",
+ * "PercentGood", …) to the standard AggregateFunction NodeIds.
+ *
+ * `buildHistoryUpdateDetails()` and `updateHistory()` insert, replace and
+ * delete historical values (e.g. back-filling data buffered at the edge).
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const {
+  UpdateDataDetails,
+  DeleteRawModifiedDetails,
+  DeleteAtTimeDetails,
+  PerformUpdateType,
+} = require("node-opcua-types");
+
+// Standard aggregate functions (OPC 10000-13), keyed by lower-case name
+const AGGREGATE_FUNCTIONS = new Map(
+  Object.keys(opcua.ObjectIds)
+    .filter((key) => key.startsWith("AggregateFunction_"))
+    .map((key) => {
+      const name = key.slice("AggregateFunction_".length);
+      return [name.toLowerCase(), { name, nodeId: opcua.makeNodeId(opcua.ObjectIds[key]) }];
+    })
+);
+
+// Short names (and the names used before the full catalogue)
+const AGGREGATE_ALIASES = {
+  min:               "Minimum",
+  max:               "Maximum",
+  ave:               "Average",
+  avg:               "Average",
+  standarddeviation: "StandardDeviationSample",
+  variance:          "VarianceSample",
+};
+
+// HistoryUpdate operations → PerformUpdateType of UpdateDataDetails
+const UPDATE_TYPE_MAP = {
+  insert:  PerformUpdateType.Insert,
+  replace: PerformUpdateType.Replace,
+  upsert:  PerformUpdateType.Update,
+};
+
+/**
+ * Read history for several nodes, yielding one page per HistoryRead call.
+ *
+ * @param {ClientSession} session     - Active session.
+ * @param {string[]}      nodeIds     - Nodes to read.
+ * @param {Function}      makeDetails - `(indexes) => HistoryReadDetails` for the
+ *   nodes read in a call (indexes into `nodeIds`); lets per-node details such
+ *   as `aggregateType` follow the nodes that still have data pending.
+ * @param {object}  [options]
+ * @param {number}  [options.maxValues]          - Stop a node after this many values.
+ * @param {number}  [options.timestampsToReturn] - Default: Both.
+ * @yields {{ page: number, results: Array<{ index: number, nodeId: string,
+ *   statusCode: StatusCode, dataValues: DataValue[], events: object[],
+ *   complete: boolean }> }}
+ */
+async function* readHistoryPages(session, nodeIds, makeDetails, options = {}) {
+  const maxValues = Number(options.maxValues) || Infinity;
+  const counts = nodeIds.map(() => 0);
+
+  // Nodes still to read, with the continuation point to resume from
+  let pending = nodeIds.map((nodeId, index) => ({ index, nodeId, continuationPoint: null }));
+  let page = 0;
+
+  try {
+    while (pending.length > 0) {
+      page += 1;
+      const response = await session.historyRead(new opcua.HistoryReadRequest({
+        historyReadDetails: makeDetails(pending.map((p) => p.index)),
+        nodesToRead: pending.map((p) => ({
+          nodeId: opcua.resolveNodeId(p.nodeId),
+          continuationPoint: p.continuationPoint,
+        })),
+        releaseContinuationPoints: false,
+        timestampsToReturn: options.timestampsToReturn ?? opcua.TimestampsToReturn.Both,
+      }));
+
+      const next = [];
+      const results = response.results.map((result, i) => {
+        const { index, nodeId } = pending[i];
+
+        let dataValues = result.historyData?.dataValues || [];
+        let events = result.historyData?.events || [];
+        const remaining = maxValues - counts[index];
+        if (dataValues.length > remaining) dataValues = dataValues.slice(0, remaining);
+        if (events.length > remaining) events = events.slice(0, remaining);
+        counts[index] += dataValues.length + events.length;
+
+        const hasMore = result.statusCode.isGood()
+          && result.continuationPoint?.length > 0
+          && counts[index] < maxValues;
+
+        if (hasMore) {
+          next.push({ index, nodeId, continuationPoint: result.continuationPoint });
+        } else if (result.continuationPoint?.length > 0) {
+          // Capped by maxValues — the server still holds a continuation point
+          pending[i].release = result.continuationPoint;
+        }
+
+        return { index, nodeId, statusCode: result.statusCode, dataValues, events, complete: !hasMore };
+      });
+
+      await releaseContinuationPoints(session, makeDetails, pending.filter((p) => p.release));
+      pending = next;
+
+      yield { page, results };
+    }
+  } finally {
+    // Consumer stopped early (error or break) — free the server resources
+    await releaseContinuationPoints(session, makeDetails, pending.filter((p) => p.continuationPoint));
+  }
+}
+
+/**
+ * Read history for several nodes and return all values per node.
+ *
+ * @returns {Promise<Array<{ nodeId: string, statusCode: StatusCode,
+ *   dataValues: DataValue[], events: object[] }>>} In the order of `nodeIds`.
+ */
+async function readHistoryAll(session, nodeIds, makeDetails, options = {}) {
+  const collected = nodeIds.map((nodeId) => ({
+    nodeId,
+    statusCode: opcua.StatusCodes.Good,
+    dataValues: [],
+    events: [],
+  }));
+
+  for await (const { results } of readHistoryPages(session, nodeIds, makeDetails, options)) {
+    for (const result of results) {
+      const target = collected[result.index];
+      target.statusCode = result.statusCode;
+      target.dataValues.push(...result.dataValues);
+      target.events.push(...result.events);
+    }
+  }
+
+  return collected;
+}
+
+/**
+ * Resolve an aggregate function by name (case-insensitive, e.g. "TimeAverage",
+ * "durationgood", "min") or by NodeId for server-specific aggregates.
+ *
+ * @param {string} aggregate - Aggregate name or NodeId string.
+ * @returns {{ name: string, nodeId: NodeId }}
+ * @throws {Error} On an unknown aggregate name.
+ */
+function resolveAggregate(aggregate) {
+  const key = String(aggregate).trim().toLowerCase();
+  const entry = AGGREGATE_FUNCTIONS.get((AGGREGATE_ALIASES[key] || key).toLowerCase());
+  if (entry) return entry;
+
+  if (/^(ns=\d+;)?[isgb]=/.test(String(aggregate))) {
+    return { name: String(aggregate), nodeId: opcua.coerceNodeId(aggregate) };
+  }
+
+  throw new Error(`Unknown aggregate "${aggregate}"`);
+}
+
+/**
+ * Build the HistoryUpdateDetails of one node.
+ *
+ * @param {string} operation - "insert", "replace", "upsert" (UpdateDataDetails),
+ *   "delete" (DeleteRawModifiedDetails) or "deleteattime" (DeleteAtTimeDetails).
+ * @param {string} nodeId    - Node to update.
+ * @param {object} options
+ * @param {DataValue[]} [options.dataValues]     - Values for insert/replace/upsert.
+ * @param {Date}        [options.start]          - Start of the range for delete.
+ * @param {Date}        [options.end]            - End of the range for delete.
+ * @param {boolean}     [options.isDeleteModified] - Delete modified instead of raw values.
+ * @param {Date[]}      [options.reqTimes]       - Timestamps for deleteattime.
+ * @returns {ExtensionObject}
+ * @throws {Error} On an unknown operation.
+ */
+function buildHistoryUpdateDetails(operation, nodeId, options = {}) {
+  const target = opcua.resolveNodeId(nodeId);
+
+  if (UPDATE_TYPE_MAP[operation] !== undefined) {
+    return new UpdateDataDetails({
+      nodeId: target,
+      performInsertReplace: UPDATE_TYPE_MAP[operation],
+      updateValues: options.dataValues || [],
+    });
+  }
+  if (operation === "delete") {
+    return new DeleteRawModifiedDetails({
+      nodeId: target,
+      isDeleteModified: options.isDeleteModified === true,
+      startTime: options.start,
+      endTime: options.end,
+    });
+  }
+  if (operation === "deleteattime") {
+    return new DeleteAtTimeDetails({
+      nodeId: target,
+      reqTimes: options.reqTimes || [],
+    });
+  }
+
+  throw new Error(`Unknown history update operation "${operation}"`);
+}
+
+/**
+ * Send a HistoryUpdate request.
+ *
+ * @param {ClientSession}     session - Active session.
+ * @param {ExtensionObject[]} details - From buildHistoryUpdateDetails().
+ * @returns {Promise<HistoryUpdateResult[]>} One result per details entry, with
+ *   `operationResults` per value (insert/replace/upsert) or timestamp (deleteattime).
+ */
+function updateHistory(session, details) {
+  const request = new opcua.HistoryUpdateRequest({ historyUpdateDetails: details });
+
+  return new Promise((resolve, reject) => {
+    session.performMessageTransaction(request, (err, response) => {
+      if (err) return reject(err);
+      if (response.responseHeader.serviceResult.isNotGood()) {
+        return reject(new Error(`HistoryUpdate failed: ${response.responseHeader.serviceResult.name}`));
+      }
+      resolve(response.results);
+    });
+  });
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Release continuation points that will not be followed.
+ */
+async function releaseContinuationPoints(session, makeDetails, entries) {
+  const toRelease = entries.map((entry) => ({
+    index: entry.index,
+    nodeId: entry.nodeId,
+    continuationPoint: entry.release || entry.continuationPoint,
+  }));
+  if (toRelease.length === 0) return;
+
+  try {
+    await session.historyRead(new opcua.HistoryReadRequest({
+      historyReadDetails: makeDetails(toRelease.map((entry) => entry.index)),
+      nodesToRead: toRelease.map((entry) => ({
+        nodeId: opcua.resolveNodeId(entry.nodeId),
+        continuationPoint: entry.continuationPoint,
+      })),
+      releaseContinuationPoints: true,
+      timestampsToReturn: opcua.TimestampsToReturn.Both,
+    }));
+  } catch {
+    // Best effort — the server frees them when the session closes anyway
+  }
+}
+
+module.exports = {
+  readHistoryPages,
+  readHistoryAll,
+  resolveAggregate,
+  buildHistoryUpdateDetails,
+  updateHistory,
+};
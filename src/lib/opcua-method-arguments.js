@@ -0,0 +1,204 @@
+/**
+ * @file opcua-method-arguments.js
+ * @description Method call arguments built from the method's argument definitions.
+ *
+ * A method declares its arguments in the InputArguments and OutputArguments
+ * properties (see opcua-datatype `discoverMethodArguments()`).  With these
+ * definitions a flow can pass plain JSON values:
+ *
+ *   - positionally:   [2.5, [1, 2, 3]]
+ *   - or by name:     { factor: 2.5, values: [1, 2, 3] }
+ *
+ * Each value is coerced to the declared type: scalars and arrays by the data
+ * converter, enumerations from their name or number, and structures from a
+ * JSON object (see converter `encodeExtensionObject()`).  An entry of the
+ * form `{ dataType, value, typeid? }` keeps its explicit type, as before
+ * auto-discovery.  The output arguments are returned keyed by their name.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const converter = require("./opcua-data-converter");
+const dataTypes = require("./opcua-datatype");
+
+const INT32     = "ns=0;i=6";   // Int32 — other types reduced to Int32 are enumerations
+const STRUCTURE = "ns=0;i=22";  // Structure — abstract, the concrete type is unknown
+
+/**
+ * Build the input Variants of a method call.
+ *
+ * @param {ClientSession} session     - Active session.
+ * @param {object[]}      definitions - Input arguments of discoverMethodArguments().
+ * @param {Array|object}  [args]      - Values in definition order, or an
+ *   object keyed by argument name.  Entries may be `{ dataType, value, typeid? }`.
+ * @param {object}        [cache]     - Data type cache of the session.
+ * @returns {Promise<Variant[]>}
+ * @throws {Error} When the arguments do not match the definitions, e.g.
+ *   'Method expects 2 input arguments (factor: Double, values: Int32 Array), got 1'.
+ */
+async function buildInputArguments(session, definitions, args = [], cache) {
+  const values = orderArguments(definitions, args);
+
+  const variants = [];
+  for (const [i, value] of values.entries()) {
+    variants.push(await buildArgument(session, definitions[i], value, cache));
+  }
+  return variants;
+}
+
+/**
+ * Map output Variants to an object keyed by argument name, structures
+ * decoded to plain JSON.  Unnamed (or undeclared) outputs are keyed
+ * `output0`, `output1`, ….
+ *
+ * @param {object[]}  definitions     - Output arguments of discoverMethodArguments().
+ * @param {Variant[]} outputArguments - Output arguments of the CallMethodResult.
+ * @returns {object}
+ */
+function mapOutputArguments(definitions, outputArguments = []) {
+  const outputs = {};
+  for (const [i, variant] of (outputArguments || []).entries()) {
+    outputs[definitions[i]?.name || `output${i}`] = converter.decodeExtensionObject(variant.value);
+  }
+  return outputs;
+}
+
+/**
+ * Short signature text, e.g. "factor: Double, values: Int32 Array".
+ *
+ * @param {object[]} definitions - Arguments of discoverMethodArguments().
+ * @returns {string}
+ */
+function formatSignature(definitions) {
+  return definitions.map((def) => `${def.name}: ${def.datatype}`).join(", ");
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+/**
+ * Put the arguments in definition order and check their count and names.
+ * Without definitions (no InputArguments property) explicitly typed
+ * arguments are passed on unchecked.
+ */
+function orderArguments(definitions, args) {
+  if (args && !Array.isArray(args) && typeof args === "object") {
+    const unknown = Object.keys(args).filter((name) => !definitions.some((def) => def.name === name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown input argument "${unknown[0]}" (expected ${formatSignature(definitions) || "none"})`);
+    }
+    const missing = definitions.find((def) => !(def.name in args));
+    if (missing) {
+      throw new Error(`Missing input argument "${missing.name}" (expected ${formatSignature(definitions)})`);
+    }
+    return definitions.map((def) => args[def.name]);
+  }
+
+  const values = args === undefined || args === null ? [] : [].concat(args);
+  if (definitions.length === 0 && values.every(isExplicit)) {
+    return values;
+  }
+  if (values.length !== definitions.length) {
+    const expected = definitions.length === 0
+      ? "no input arguments"
+      : `${definitions.length} input argument${definitions.length === 1 ? "" : "s"} (${formatSignature(definitions)})`;
+    throw new Error(`Method expects ${expected}, got ${values.length}`);
+  }
+  return values;
+}
+
+/**
+ * Variant of one argument value.
+ */
+async function buildArgument(session, definition, value, cache) {
+  if (isExplicit(value)) {
+    return buildExplicitArgument(session, definition, value);
+  }
+
+  const datatype = definition.datatype;
+  const baseType = datatype.replace(/\s*Array$/i, "");
+  const isArray = converter.isArrayType(datatype);
+
+  if (baseType === "ExtensionObject" && definition.dataTypeId !== STRUCTURE) {
+    return buildStructureVariant(session, definition.dataTypeId, value, isArray);
+  }
+
+  if (baseType === "Int32" && definition.dataTypeId !== INT32) {
+    const numbers = [];
+    for (const item of isArray ? toArray(value) : [value]) {
+      numbers.push(await toEnumValue(session, definition, item, cache));
+    }
+    return converter.buildVariant(datatype, isArray ? numbers : numbers[0]);
+  }
+
+  return converter.buildVariant(datatype, isArray ? toArray(value) : value);
+}
+
+/**
+ * Variant of a `{ dataType, value, typeid? }` entry.  The definition, when
+ * known, decides between scalar and array.
+ */
+async function buildExplicitArgument(session, definition, arg) {
+  let datatype = arg.dataType;
+  if (definition && converter.isArrayType(definition.datatype) && !converter.isArrayType(datatype)) {
+    datatype = `${datatype} Array`;
+  }
+
+  if (arg.typeid && /^ExtensionObject/i.test(datatype)) {
+    return buildStructureVariant(session, arg.typeid, arg.value, converter.isArrayType(datatype));
+  }
+
+  return converter.buildVariant(datatype, arg.value);
+}
+
+/**
+ * ExtensionObject Variant of a structure (or array of structures) of the
+ * given DataType, encoded from JSON by the data converter.
+ */
+async function buildStructureVariant(session, dataTypeId, value, isArray) {
+  const structures = await converter.encodeExtensionObject(session, dataTypeId, isArray ? toArray(value) : value);
+  return new opcua.Variant({
+    dataType: opcua.DataType.ExtensionObject,
+    arrayType: isArray ? opcua.VariantArrayType.Array : opcua.VariantArrayType.Scalar,
+    value: structures,
+  });
+}
+
+/**
+ * Value of an enumeration argument given by number or by name.
+ */
+async function toEnumValue(session, definition, value, cache) {
+  if (typeof value === "number" || (typeof value === "string" && /^-?\d+$/.test(value.trim()))) {
+    return Number(value);
+  }
+
+  const names = await dataTypes.discoverEnumValues(session, definition.dataTypeId, cache);
+  if (!names.has(value)) {
+    throw new Error(`Invalid value "${value}" for argument "${definition.name}" (expected ${[...names.keys()].join(", ") || "a number"})`);
+  }
+  return names.get(value);
+}
+
+/**
+ * Items of an array argument: arrays pass through, JSON array strings are
+ * parsed, other strings are split at commas and single values wrapped.
+ */
+function toArray(value) {
+  if (Array.isArray(value) || ArrayBuffer.isView(value)) return Array.from(value);
+  if (typeof value === "string") {
+    if (value.trim().startsWith("[")) return JSON.parse(value);
+    return value.split(",").map((item) => item.trim());
+  }
+  return value === undefined || value === null ? [] : [value];
+}
+
+function isExplicit(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value)
+    && typeof value.dataType === "string" && "value" in value;
+}
+
+module.exports = {
+  buildInputArguments,
+  mapOutputArguments,
+  formatSignature,
+};
@@ -0,0 +1,120 @@
+/**
+ * @file opcua-notification-batch.js
+ * @description Grouping of subscription data changes into batch messages.
+ *
+ * A subscription with thousands of monitored items produces thousands of
+ * data changes per publish cycle; sent one by one they flood the runtime.
+ * A notification batch collects them instead and hands one keyed object to
+ * its `flush` callback:
+ *
+ *   - "publish": all data changes of one publish response.  node-opcua
+ *     notifies the changes of a response synchronously, so the batch is
+ *     flushed on the next turn of the event loop.  An item with several
+ *     queued values in the response is keyed to the list of them.
+ *   - "window":  all data changes within a time window, coalesced to the
+ *     latest value per item (e.g. for bulk database writes).
+ */
+
+"use strict";
+
+const BATCH_MODES = ["none", "publish", "window"];
+const BATCH_KEYS = ["nodeId", "browseName"];
+
+const DEFAULT_WINDOW = 1000;
+
+/**
+ * Check and complete batch options.
+ *
+ * @param {object} [options]
+ * @param {string} [options.mode="none"]     - "none", "publish" or "window".
+ * @param {number} [options.window=1000]     - Window length in ms ("window" mode).
+ * @param {string} [options.key="nodeId"]    - Key of the batch entries:
+ *   "nodeId" or "browseName" (items without a browseName use their nodeId).
+ * @returns {{ mode: string, window: number, key: string }}
+ * @throws {Error} On an unknown mode or key.
+ */
+function resolveBatchOptions(options = {}) {
+  const mode = options.mode || "none";
+  if (!BATCH_MODES.includes(mode)) {
+    throw new Error(`Unknown batch mode "${mode}" (use none, publish or window)`);
+  }
+  const key = options.key || "nodeId";
+  if (!BATCH_KEYS.includes(key)) {
+    throw new Error(`Unknown batch key "${key}" (use nodeId or browseName)`);
+  }
+  return { mode, window: Number(options.window) > 0 ? Number(options.window) : DEFAULT_WINDOW, key };
+}
+
+/**
+ * Create a notification batch.
+ *
+ * @param {object}   options - See resolveBatchOptions(); mode must not be "none".
+ * @param {Function} flush   - `(payload, count) => void`; `payload` maps each
+ *   key to `{ nodeId, value, datatype, statusCode, sourceTimestamp,
+ *   serverTimestamp }`, `count` is the number of data changes it holds.
+ * @returns {{ add: (item: object, value: *, dataValue: DataValue) => void,
+ *   flush: () => void, close: () => void }}
+ *   `add()` takes the subscription item, its decoded value and the DataValue;
+ *   `close()` cancels a pending flush and drops its data changes.
+ */
+function createNotificationBatch(options, flush) {
+  const { mode, window, key } = resolveBatchOptions(options);
+  let entries = new Map();
+  let count = 0;
+  let timer = null;
+
+  const cancel = () => {
+    if (!timer) return;
+    if (mode === "publish") clearImmediate(timer);
+    else clearTimeout(timer);
+    timer = null;
+  };
+
+  const batch = {
+    add(item, value, dataValue) {
+      const entryKey = (key === "browseName" && item.browseName) || item.nodeId;
+      const entry = {
+        nodeId:          item.nodeId,
+        value,
+        datatype:        item.datatype,
+        statusCode:      dataValue.statusCode,
+        sourceTimestamp: dataValue.sourceTimestamp,
+        serverTimestamp: dataValue.serverTimestamp,
+      };
+
+      const previous = entries.get(entryKey);
+      if (mode === "publish" && previous) {
+        entries.set(entryKey, [].concat(previous, entry));
+      } else {
+        entries.set(entryKey, entry);
+      }
+      count++;
+
+      if (!timer) {
+        timer = mode === "publish" ? setImmediate(batch.flush) : setTimeout(batch.flush, window);
+      }
+    },
+
+    flush() {
+      cancel();
+      if (entries.size === 0) return;
+      const payload = Object.fromEntries(entries);
+      const flushed = count;
+      entries = new Map();
+      count = 0;
+      flush(payload, flushed);
+    },
+
+    close() {
+      cancel();
+      entries = new Map();
+      count = 0;
+    },
+  };
+  return batch;
+}
+
+module.exports = {
+  resolveBatchOptions,
+  createNotificationBatch,
+};
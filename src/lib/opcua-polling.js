@@ -0,0 +1,92 @@
+/**
+ * @file opcua-polling.js
+ * @description Cyclic reads for servers without usable subscriptions.
+ *
+ * Some legacy servers and gateways do not support subscriptions properly,
+ * so the client node can read a set of items at a fixed interval instead.
+ * `schedulePoll()` runs the reads on a drift-free schedule: tick n is due at
+ * `start + n * interval`, independent of how long earlier reads took, and
+ * slots missed by a slow read are skipped rather than run late in a burst.
+ * `hasChanged()` decides whether a polled value is reported when only
+ * changes are wanted.
+ */
+
+"use strict";
+
+/**
+ * Run `tick` now and then every `interval` ms on a drift-free schedule.
+ * A tick is never started while the previous one is still running.
+ *
+ * @param {number}   interval - Interval in ms.
+ * @param {Function} tick     - `async () => void`; errors must be handled by
+ *   the tick itself (a rejection does not stop the schedule).
+ * @returns {{ stop: () => void }}
+ */
+function schedulePoll(interval, tick) {
+  const start = Date.now();
+  let slot = 0;
+  let timer = null;
+  let stopped = false;
+
+  const run = async () => {
+    timer = null;
+    try {
+      await tick();
+    } catch {
+      // Reported by the tick
+    }
+    if (stopped) return;
+
+    // Next slot after now; slots that passed during a slow tick are skipped
+    const now = Date.now();
+    slot = Math.max(slot + 1, Math.floor((now - start) / interval) + 1);
+    timer = setTimeout(run, start + slot * interval - now);
+  };
+
+  timer = setTimeout(run, 0);
+
+  return {
+    stop() {
+      stopped = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+  };
+}
+
+/**
+ * Whether a polled sample differs from the last reported one.
+ *
+ * Numbers change when they differ by more than `threshold` (as a deadband;
+ * 0 reports any difference); other values when their JSON differs.  A new
+ * status code is always a change.
+ *
+ * @param {{ value: *, status: number }|undefined} previous - Last reported
+ *   sample (undefined before the first report).
+ * @param {{ value: *, status: number }}           current
+ * @param {number} [threshold=0]
+ * @returns {boolean}
+ */
+function hasChanged(previous, current, threshold = 0) {
+  if (!previous || previous.status !== current.status) return true;
+
+  if (typeof previous.value === "number" && typeof current.value === "number") {
+    if (Number.isNaN(previous.value) || Number.isNaN(current.value)) {
+      return Number.isNaN(previous.value) !== Number.isNaN(current.value);
+    }
+    return Math.abs(current.value - previous.value) > (Number(threshold) || 0);
+  }
+  return toComparable(previous.value) !== toComparable(current.value);
+}
+
+// ── Internal helpers ───────────────────────────────────────────────────────────
+
+function toComparable(value) {
+  if (ArrayBuffer.isView(value) && !Buffer.isBuffer(value)) value = Array.from(value);
+  return JSON.stringify(value, (key, item) => (typeof item === "bigint" ? item.toString() : item));
+}
+
+module.exports = {
+  schedulePoll,
+  hasChanged,
+};
@@ -0,0 +1,137 @@
+/**
+ * @file opcua-registered-nodes.js
+ * @description RegisterNodes handles for cyclic reads and writes.
+ *
+ * RegisterNodes tells the server that nodes will be accessed repeatedly;
+ * the server answers with handles (often numeric aliases) that it can look
+ * up faster than the original NodeIds, which PLC vendors recommend for
+ * high-frequency polling.  Handles are only valid in the session that
+ * registered them.
+ *
+ * `createNodeRegistry()` remembers which NodeIds are registered, hands out
+ * their handles for the current session and registers them again on a new
+ * session (after a reconnect).  node-opcua repairs a lost server session
+ * (e.g. after a PLC reboot) inside the same ClientSession object, so the
+ * owner calls `invalidate()` when that happens.  Outputs keep the original
+ * NodeIds; only the requests to the server use the handles.
+ */
+
+"use strict";
+
+const opcua = require("node-opcua");
+const { runInChunks } = require("./opcua-batching");
+
+/**
+ * Create a registry of registered nodes.
+ *
+ * @returns {{
+ *   register: (session: ClientSession, nodeIds: string[], limit?: number) => Promise<string[]>,
+ *   resolve: (session: ClientSession, nodeIds: string[]) => string[],
+ *   restore: (session: ClientSession, limit?: number) => Promise<number>,
+ *   invalidate: () => void,
+ *   unregister: (session: ClientSession, nodeIds?: string[], limit?: number) => Promise<void>,
+ *   has: (nodeId: string) => boolean,
+ *   size: number
+ * }}
+ *   `register()` registers the NodeIds that have no handle in `session` yet
+ *   and returns the handles of all of them (`limit`: MaxNodesPerRegisterNodes).
+ *   `resolve()` maps NodeIds to their handles in `session` and leaves the
+ *   others unchanged.  `restore()` registers every remembered NodeId in a
+ *   new session and returns their count.  `invalidate()` drops all handles
+ *   (the server session behind them is gone) but keeps the NodeIds for
+ *   `restore()`.  `unregister()` forgets the given NodeIds (default: all)
+ *   and releases their handles on the server.
+ */
+function createNodeRegistry() {
+  const handles = new Map();   // NodeId → handle in `current` (null: not registered there yet)
+  let current = null;          // Session the handles belong to
+  let generation = 0;          // Incremented whenever the handles become invalid
+  let pending = Promise.resolve();
+
+  const dropHandles = () => {
+    generation++;
+    for (const nodeId of handles.keys()) handles.set(nodeId, null);
+  };
+
+  // Handles of an older session are invalid
+  const useSession = (session) => {
+    if (session === current) return;
+    current = session;
+    dropHandles();
+  };
+
+  const registerMissing = async (session, nodeIds, limit) => {
+    useSession(session);
+    const missing = [...new Set(nodeIds)].filter((nodeId) => !handles.get(nodeId));
+    if (missing.length === 0) return;
+    const registeredIn = generation;
+
+    const registered = await runInChunks(
+      missing,
+      limit,
+      (chunk) => session.registerNodes(chunk.map((nodeId) => opcua.resolveNodeId(nodeId)))
+    );
+    if (generation !== registeredIn) return;   // Session replaced or repaired meanwhile
+    missing.forEach((nodeId, i) => handles.set(nodeId, registered[i].toString()));
+  };
+
+  // Registrations run one after another, so concurrent reads of the same
+  // items register them once
+  const serialize = (operation) => {
+    const result = pending.then(operation);
+    pending = result.catch(() => {});
+    return result;
+  };
+
+  return {
+    register(session, nodeIds, limit) {
+      return serialize(async () => {
+        await registerMissing(session, nodeIds, limit);
+        return nodeIds.map((nodeId) => handles.get(nodeId) || nodeId);
+      });
+    },
+
+    resolve(session, nodeIds) {
+      if (session !== current) return nodeIds;
+      return nodeIds.map((nodeId) => handles.get(nodeId) || nodeId);
+    },
+
+    restore(session, limit) {
+      return serialize(async () => {
+        await registerMissing(session, [...handles.keys()], limit);
+        return handles.size;
+      });
+    },
+
+    invalidate() {
+      dropHandles();
+    },
+
+    unregister(session, nodeIds = [...handles.keys()], limit) {
+      return serialize(async () => {
+        const registered = session === current
+          ? nodeIds.map((nodeId) => handles.get(nodeId)).filter(Boolean)
+          : [];
+        nodeIds.forEach((nodeId) => handles.delete(nodeId));
+        if (!session || registered.length === 0) return;
+
+        await runInChunks(registered, limit, async (chunk) => {
+          await session.unregisterNodes(chunk.map((handle) => opcua.resolveNodeId(handle)));
+          return chunk;
+        });
+      });
+    },
+
+    has(nodeId) {
+      return handles.has(nodeId);
+    },
+
+    get size() {
+      return handles.size;
+    },
+  };
+}
+
+module.exports = {
+  createNodeRegistry,
+};
@@ -29,6 +29,7 @@ const STATUS_MAP = {
   "session active":     { fill: "green",  shape: "dot",  text: "session active" },
   "keepalive":          { fill: "green",  shape: "ring", text: "keepalive" },
   "re-established":     { fill: "green",  shape: "ring", text: "re-established" },
+  "subscriptions restored": { fill: "green", shape: "dot", text: "subscriptions restored" },
 
   // ── Transitional ────────────────────────────────────────────────────────
   "connecting":         { fill: "yellow", shape: "dot",  text: "connecting" },
@@ -42,6 +43,8 @@ const STATUS_MAP = {
   "subscribing":        { fill: "green",  shape: "dot",  text: "subscribing" },
   "subscribed":         { fill: "green",  shape: "dot",  text: "subscribed" },
   "monitoring":         { fill: "green",  shape: "dot",  text: "monitoring" },
+  "subscription modified": { fill: "green", shape: "dot", text: "subscription modified" },
+  "polling":            { fill: "green",  shape: "dot",  text: "polling" },
   "browsing":           { fill: "green",  shape: "dot",  text: "browsing" },
   "browse done":        { fill: "green",  shape: "dot",  text: "browse done" },
   "value changed":      { fill: "green",  shape: "dot",  text: "value changed" },
@@ -51,6 +54,12 @@ const STATUS_MAP = {
   "method executed":    { fill: "green",  shape: "dot",  text: "method executed" },
   "event received":     { fill: "green",  shape: "dot",  text: "event received" },
   "acknowledging":      { fill: "green",  shape: "dot",  text: "acknowledging" },
+  "condition updated":  { fill: "green",  shape: "dot",  text: "condition updated" },
+  "history page":       { fill: "green",  shape: "dot",  text: "history page" },
+  "history done":       { fill: "green",  shape: "dot",  text: "history done" },
+  "history updated":    { fill: "green",  shape: "dot",  text: "history updated" },
+  "file progress":      { fill: "green",  shape: "dot",  text: "file progress" },
+  "file transferred":   { fill: "green",  shape: "dot",  text: "file transferred" },
 
   // ── Errors ───────────────────────────────────────────────────────────────
   "error":              { fill: "red",    shape: "ring", text: "error" },
@@ -71,6 +80,7 @@ const STATUS_MAP = {
   // ── Idle / default ───────────────────────────────────────────────────────
   "waiting":            { fill: "blue",   shape: "ring", text: "waiting" },
   "idle":               { fill: "grey",   shape: "ring", text: "idle" },
+  "poll stopped":       { fill: "grey",   shape: "ring", text: "poll stopped" },
 };
 
 /**
@@ -0,0 +1,74 @@
+/**
+ * @file opcua-trigger-record.js
+ * @description Snapshot records of triggered monitored items (SetTriggering).
+ *
+ * With SetTriggering a reporting "trigger" item (e.g. a part-complete flag)
+ * is linked to sampling-only items (e.g. measurement values): the server
+ * samples the linked items all the time but only reports them when the
+ * trigger reports, in the same publish response.  node-opcua notifies the
+ * data changes of a response synchronously, so a trigger record collects
+ * them and hands one record — the trigger value with the latest value of
+ * every linked item — to its `emit` callback on the next turn of the event
+ * loop.  Linked items that did not change since the last record keep their
+ * previous value.
+ */
+
+"use strict";
+
+/**
+ * Create a trigger record.
+ *
+ * @param {object}   trigger - Subscription item of the trigger (`{ nodeId, browseName? }`).
+ * @param {object[]} links   - Subscription items of the linked items.
+ * @param {Function} emit    - `(record) => void`; `record` is `{ trigger, links }`
+ *   with one `{ nodeId, browseName, value, statusCode, sourceTimestamp,
+ *   serverTimestamp }` sample for the trigger and each link (null for links
+ *   that were never reported).
+ * @returns {{ add: (item: object, value: *, dataValue: DataValue) => void }}
+ *   `add()` takes the subscription item, its decoded value and the DataValue.
+ */
+function createTriggerRecord(trigger, links, emit) {
+  const samples = new Map();   // nodeId → latest sample
+  let triggered = false;
+  let timer = null;
+
+  const flush = () => {
+    timer = null;
+    if (!triggered) return;   // Linked values only: kept for the next record
+    triggered = false;
+    emit({
+      trigger: samples.get(trigger.nodeId),
+      links:   links.map((item) => samples.get(item.nodeId) || null),
+    });
+  };
+
+  return {
+    add(item, value, dataValue) {
+      samples.set(item.nodeId, {
+        nodeId:          item.nodeId,
+        browseName:      item.browseName,
+        value,
+        statusCode:      dataValue.statusCode,
+        sourceTimestamp: dataValue.sourceTimestamp,
+        serverTimestamp: dataValue.serverTimestamp,
+      });
+      if (item === trigger) triggered = true;
+      if (!timer) timer = setImmediate(flush);
+    },
+  };
+}
+
+/**
+ * Key of a sample in a record payload: its browse name, or its nodeId.
+ *
+ * @param {{ nodeId: string, browseName?: string }} sample
+ * @returns {string}
+ */
+function recordKey(sample) {
+  return sample.browseName || sample.nodeId;
+}
+
+module.exports = {
+  createTriggerRecord,
+  recordKey,
+};
@@ -2,16 +2,21 @@
  * @file opcua-client.js
  * @description OPC UA Client node — the main workhorse of the library.
  *
- * Supports 20 actions via `msg.action` or node configuration:
+ * Supports 40 actions via `msg.action` or node configuration:
  *
  *   CONNECTION:   connect, disconnect, reconnect
  *   DATA:         read, write
- *   SUBSCRIPTION: subscribe, monitor, unsubscribe, deletesubscription
+ *   SUBSCRIPTION: subscribe, monitor, trigger, unsubscribe, deletesubscription,
+ *                 modifysubscription, modifymonitor
+ *   POLLING:      poll, stoppoll
  *   BROWSING:     browse, info
  *   METHODS:      method
- *   EVENTS:       events, acknowledge
- *   HISTORY:      history
- *   FILE:         readfile, writefile
+ *   EVENTS:       events
+ *   ALARMS:       acknowledge, confirm, addcomment, enable, disable,
+ *                 timedshelve, oneshotshelve, unshelve, conditionrefresh
+ *   HISTORY:      history, historyevents, historyupdate
+ *   FILE:         readfile, writefile, listdirectory, createdirectory,
+ *                 createfile, deletefile, movefile
  *   ADVANCED:     register, unregister, build (ExtensionObject)
  *
  * ─── Message format ────────────────────────────────────────────────────────────
@@ -31,7 +36,8 @@
  *                    Command Queue                            [2] Batch results
  *                    (when connecting)
  *
- *   The node maintains a single persistent OPCUAClient + Session.
+ *   The OPCUAClient + Session live in an `OpcuaClientConnection` owned by the
+ *   opcua-endpoint config node and shared by every node on that endpoint.
  *   Messages that arrive while connecting are queued and replayed.
  *
  * ─── Outputs ───────────────────────────────────────────────────────────────────
@@ -44,18 +50,33 @@
 "use strict";
 
 const opcua = require("node-opcua");
-const { ClientFile } = require("node-opcua-file-transfer");
-const { readFileSync } = require("fs");
+const { createReadStream, createWriteStream, existsSync, statSync } = require("fs");
+const { rename, unlink } = require("fs/promises");
+const { pipeline } = require("stream/promises");
 
-const { getClientCertificateManager } = require("../lib/opcua-certificate-manager");
 const { getStatus, getStatusWithDetail } = require("../lib/opcua-status");
 const converter = require("../lib/opcua-data-converter");
-const {
-  DEFAULT_CONNECTION_STRATEGY,
-  resolveUserIdentity,
-  resolveSecurityMode,
-  resolveSecurityPolicy,
-} = require("../lib/opcua-connection");
+const { OpcuaClientConnection } = require("../lib/opcua-connection");
+const browsePath = require("../lib/opcua-browse-path");
+const dataTypes = require("../lib/opcua-datatype");
+const methodArguments = require("../lib/opcua-method-arguments");
+const { runInChunks, splitIntoChunks } = require("../lib/opcua-batching");
+const history = require("../lib/opcua-history");
+const eventFilter = require("../lib/opcua-event-filter");
+const alarms = require("../lib/opcua-alarms");
+const fileTransfer = require("../lib/opcua-file-transfer");
+const fileDirectory = require("../lib/opcua-file-directory");
+const notificationBatch = require("../lib/opcua-notification-batch");
+const registeredNodes = require("../lib/opcua-registered-nodes");
+const polling = require("../lib/opcua-polling");
+const triggerRecord = require("../lib/opcua-trigger-record");
+
+const STRUCTURE_TYPE_ID = "ns=0;i=22";  // Structure — abstract base of all structures
+
+// Per-item monitoring settings kept with subscribed items
+const MONITORING_SETTINGS = [
+  "samplingInterval", "queueSize", "discardOldest", "deadbandType", "deadbandValue", "trigger", "monitoringMode",
+];
 
 module.exports = function (RED) {
 
@@ -75,6 +96,11 @@ module.exports = function (RED) {
     this.deadbandValue  = Number(config.deadbandvalue) || 1;
     this.time           = Number(config.time) || 10;
     this.timeUnit       = config.timeUnit || "s";
+    this.batchMode      = config.batch || "none";
+    this.batchWindow    = Number(config.batchwindow) || 1000;
+    this.batchKey       = config.batchkey || "nodeId";
+    this.registerNodes  = config.registernodes === true;
+    this.pollOnChange   = config.pollonchange === true;
     this.name           = config.name || "";
 
     // Transport settings
@@ -93,15 +119,28 @@ module.exports = function (RED) {
     this.applicationUri  = config.applicationUri || "";
 
     // ── Internal state ─────────────────────────────────────────────────
-    this.client       = null;          // OPCUAClient instance
-    this.session      = null;          // ClientSession instance
-    this.subscription = null;          // ClientSubscription instance
-    this.monitoredItems = new Map();   // nodeId → ClientMonitoredItem
+    this.connection   = null;          // Shared OpcuaClientConnection
+    this.ownsConnection = false;       // True for a private (dynamic endpoint) connection
+    this.session      = null;          // ClientSession instance (from the connection)
+    this.subscriptions  = new Map();   // subscription name → subscription entry (see getSubscriptionEntry)
+    this.nodeRegistry   = registeredNodes.createNodeRegistry();  // RegisterNodes handles for read/write
+    this.polls          = new Map();   // poll name → poll (see actionPoll)
     this.cmdQueue       = [];          // Messages queued while connecting
     this.currentStatus  = "";
-    this.hasConnected   = false;
     this.isClosing      = false;
 
+    // Listeners attached to the connection, so they can be detached on release
+    const connectionListeners = {
+      status:           (statusKey, detail) => {
+        if (detail) setStatusWithDetail(statusKey, detail);
+        else setStatus(statusKey);
+      },
+      session:          (session) => onSessionCreated(session),
+      session_closed:   () => onSessionClosed(),
+      session_restored: () => onSessionRestored(),
+      connection_error: (err) => handleConnectionError(err),
+    };
+
     // ── Validate endpoint ──────────────────────────────────────────────
     if (!this.endpointNode) {
       setStatus("invalid endpoint");
@@ -136,9 +175,11 @@ module.exports = function (RED) {
     node.on("close", async (done) => {
       node.isClosing = true;
       try {
-        await terminateSubscription();
-        await closeSession();
-        await disconnectClient();
+        for (const entry of node.subscriptions.values()) entry.batch?.close();
+        stopAllPolls();
+        await terminateAllSubscriptions();
+        await unregisterAllNodes();
+        await releaseConnection();
       } catch (err) {
         node.warn(`Cleanup error: ${err.message}`);
       }
@@ -150,44 +191,56 @@ module.exports = function (RED) {
     // ═══════════════════════════════════════════════════════════════════
 
     /**
-     * Create the OPC UA client object (lightweight, no TCP connection).
+     * Build the client options that decide which pooled connection to share.
+     */
+    function buildConnectionOptions() {
+      const options = {
+        applicationName: node.applicationName,
+        applicationUri: node.applicationUri,
+        keepSessionAlive: node.keepSessionAlive,
+      };
+
+      // Add transport settings if enabled
+      if (node.useTransport) {
+        options.transportSettings = {
+          maxChunkCount: node.maxChunkCount,
+          maxMessageSize: node.maxMessageSize,
+          receiveBufferSize: node.receiveBufferSize,
+          sendBufferSize: node.sendBufferSize,
+        };
+      }
+
+      return options;
+    }
+
+    /**
+     * Acquire the shared connection for this node's endpoint (no TCP yet).
      * Connection is deferred if connectOnStart is false.
+     *
+     * @param {object} [endpointOverride] - Dynamic endpoint settings; gets a
+     *   private, unpooled connection instead of the shared one.
      */
-    async function initializeClient() {
+    async function initializeClient(endpointOverride) {
       try {
-        // Initialize certificate manager
-        const certManager = getClientCertificateManager();
-        await certManager.initialize();
-
-        // Build client options
-        const clientOptions = {
-          applicationName: node.applicationName,
-          applicationUri: node.applicationUri || undefined,
-          clientCertificateManager: certManager,
-          securityMode: resolveSecurityMode(node.endpointNode.securityMode),
-          securityPolicy: resolveSecurityPolicy(node.endpointNode.securityPolicy),
-          defaultSecureTokenLifetime: 200000,
-          keepSessionAlive: node.keepSessionAlive,
-          requestedSessionTimeout: 60000,
-          endpointMustExist: false,
-          connectionStrategy: DEFAULT_CONNECTION_STRATEGY,
-        };
+        const options = buildConnectionOptions();
 
-        // Add transport settings if enabled
-        if (node.useTransport) {
-          clientOptions.transportSettings = {
-            maxChunkCount: node.maxChunkCount,
-            maxMessageSize: node.maxMessageSize,
-            receiveBufferSize: node.receiveBufferSize,
-            sendBufferSize: node.sendBufferSize,
-          };
+        if (endpointOverride) {
+          node.connection = new OpcuaClientConnection(endpointOverride, options);
+          node.ownsConnection = true;
+        } else {
+          node.connection = node.endpointNode.acquireConnection(node, options);
+          node.ownsConnection = false;
+        }
+
+        for (const [event, listener] of Object.entries(connectionListeners)) {
+          node.connection.on(event, listener);
         }
 
-        // Create the client
-        node.client = opcua.OPCUAClient.create(clientOptions);
-        registerClientEventHandlers();
-        
-        setStatus("client created");
+        // Another node may already have a live session on this connection
+        if (node.connection.session) {
+          onSessionCreated(node.connection.session);
+          return;
+        }
 
         // Connect immediately or wait for trigger
         if (node.connectOnStart) {
@@ -202,66 +255,64 @@ module.exports = function (RED) {
     }
 
     /**
-     * Connect to the server and create a session.
+     * Connect to the server and create a session (shared with other users
+     * of the connection).  `onSessionCreated` runs when the session is ready.
      */
     async function connectAndCreateSession() {
-      const endpointUrl = node.endpointNode.endpoint;
-
-      setStatus("connecting");
-      await node.client.connect(endpointUrl);
-
-      setStatus("connected");
-      node.hasConnected = true;
-
-      const userIdentity = resolveUserIdentity(node.endpointNode);
-      node.session = await node.client.createSession(userIdentity);
-
-      setStatus("session active");
-
-      // Register session close handler
-      node.session.on("session_closed", () => {
-        if (!node.isClosing) {
-          setStatus("session closed");
-          node.session = null;
-          node.subscription = null;
-          node.monitoredItems.clear();
-        }
-      });
+      await node.connection.connect();
+    }
 
-      // Replay any queued commands
-      replayCommandQueue();
+    /**
+     * A new session is ready on the connection.
+     */
+    function onSessionCreated(session) {
+      if (node.isClosing) return;
+      node.session = session;
+
+      // Bring back subscriptions and registered nodes lost with the
+      // previous session, then replay any queued commands
+      Promise.all([
+        restoreSubscriptions(session)
+          .catch((err) => node.warn(`Subscription restore error: ${err.message}`)),
+        node.nodeRegistry.restore(session, operationLimit("maxNodesPerRegisterNodes"))
+          .catch((err) => node.warn(`Register nodes error: ${err.message}`)),
+      ]).finally(() => replayCommandQueue());
     }
 
     /**
-     * Register event handlers on the OPC UA client for reconnection.
+     * node-opcua repaired the session after the server lost it (e.g. a PLC
+     * reboot).  It is the same ClientSession object, but the server session
+     * behind it is new: RegisterNodes handles are invalid and the nodes are
+     * registered again.  Subscriptions are repaired by node-opcua.
      */
-    function registerClientEventHandlers() {
-      node.client.on("connection_reestablished", () => {
-        if (node.isClosing) return;
-        setStatus("re-established");
+    function onSessionRestored() {
+      if (node.isClosing || !node.session) return;
+      node.nodeRegistry.invalidate();
+      if (node.nodeRegistry.size === 0) return;
+      node.nodeRegistry.restore(node.session, operationLimit("maxNodesPerRegisterNodes"))
+        .catch((err) => node.warn(`Register nodes error: ${err.message}`));
+    }
 
-        // If session was lost, re-create it
-        if (!node.session) {
-          connectAndCreateSession().catch(handleConnectionError);
+    /**
+     * The connection's session was closed.  Subscriptions are kept aside
+     * (not forgotten) so they can be transferred to the next session.
+     */
+    function onSessionClosed() {
+      if (node.isClosing) return;
+      node.session = null;
+
+      for (const entry of node.subscriptions.values()) {
+        if (entry.subscription) {
+          entry.orphan = {
+            subscription:   entry.subscription,
+            subscriptionId: entry.subscriptionId,
+            monitoredItems: entry.monitoredItems,
+          };
         }
-      });
-
-      node.client.on("backoff", (retryCount, delay) => {
-        if (node.isClosing) return;
-        const label = node.hasConnected ? "reconnecting" : "connecting";
-        const delaySec = (delay / 1000).toFixed(1);
-        setStatusWithDetail(label, `attempt ${retryCount}, retry in ${delaySec}s`);
-      });
-
-      node.client.on("start_reconnection", () => {
-        if (node.isClosing) return;
-        setStatus("reconnecting");
-      });
-
-      node.client.on("connection_lost", () => {
-        if (node.isClosing) return;
-        setStatus("disconnected");
-      });
+        entry.subscription = null;
+        entry.subscriptionId = null;
+        entry.monitoredItems = new Map();
+      }
     }
 
     /**
@@ -288,18 +339,38 @@ module.exports = function (RED) {
         write:               () => actionWrite(msg, send, done),
         subscribe:           () => actionSubscribe(msg, send, done),
         monitor:             () => actionMonitor(msg, send, done),
+        trigger:             () => actionTrigger(msg, send, done),
         unsubscribe:         () => actionUnsubscribe(msg, send, done),
         deletesubscription:  () => actionDeleteSubscription(msg, send, done),
+        modifysubscription:  () => actionModifySubscription(msg, send, done),
+        modifymonitor:       () => actionModifyMonitor(msg, send, done),
+        poll:                () => actionPoll(msg, send, done),
+        stoppoll:            () => actionStopPoll(msg, send, done),
         browse:              () => actionBrowse(msg, send, done),
         events:              () => actionEvents(msg, send, done),
         info:                () => actionInfo(msg, send, done),
         build:               () => actionBuild(msg, send, done),
         register:            () => actionRegister(msg, send, done),
         unregister:          () => actionUnregister(msg, send, done),
-        acknowledge:         () => actionAcknowledge(msg, send, done),
+        acknowledge:         () => actionConditionMethod("Acknowledge", msg, send, done),
+        confirm:             () => actionConditionMethod("Confirm", msg, send, done),
+        addcomment:          () => actionConditionMethod("AddComment", msg, send, done),
+        enable:              () => actionConditionMethod("Enable", msg, send, done),
+        disable:             () => actionConditionMethod("Disable", msg, send, done),
+        timedshelve:         () => actionConditionMethod("TimedShelve", msg, send, done),
+        oneshotshelve:       () => actionConditionMethod("OneShotShelve", msg, send, done),
+        unshelve:            () => actionConditionMethod("Unshelve", msg, send, done),
+        conditionrefresh:    () => actionConditionRefresh(msg, send, done),
         history:             () => actionHistory(msg, send, done),
+        historyevents:       () => actionHistoryEvents(msg, send, done),
+        historyupdate:       () => actionHistoryUpdate(msg, send, done),
         readfile:            () => actionReadFile(msg, send, done),
         writefile:           () => actionWriteFile(msg, send, done),
+        listdirectory:       () => actionListDirectory(msg, send, done),
+        createdirectory:     () => actionCreateInDirectory("directory", msg, send, done),
+        createfile:          () => actionCreateInDirectory("file", msg, send, done),
+        deletefile:          () => actionDeleteFile(msg, send, done),
+        movefile:            () => actionMoveFile(msg, send, done),
         connect:             () => actionConnect(msg, send, done),
         disconnect:          () => actionDisconnect(msg, send, done),
         reconnect:           () => actionReconnect(msg, send, done),
@@ -322,6 +393,12 @@ module.exports = function (RED) {
     /**
      * READ — Read one or more node values from `msg.items`.
      *
+     * `item.attributeId` selects another attribute ("DisplayName",
+     * "AccessLevel", …) or a property ("EURange", "EngineeringUnits");
+     * see `resolveItemTargets()`.  Values are decoded per attribute.
+     * Registered nodes are read through their RegisterNodes handles; see
+     * `resolveRegisteredNodeIds()`.
+     *
      * Sends a per-item message on output 1 for each item read,
      * and a single batch message on output 3 with all results.
      */
@@ -338,12 +415,19 @@ module.exports = function (RED) {
 
         setStatus("reading");
 
-        const nodesToRead = items.map((item) => ({
-          nodeId: item.nodeId,
-          attributeId: opcua.AttributeIds.Value,
-        }));
+        const targets = await resolveItemTargets(items);
+        const handles = await resolveRegisteredNodeIds(msg, targets);
+        const nodesToRead = targets.map(({ attributeId }, i) => ({ nodeId: handles[i], attributeId }));
 
-        const dataValues = await node.session.read(nodesToRead);
+        const dataValues = await runInChunks(
+          nodesToRead,
+          operationLimit("maxNodesPerRead"),
+          (chunk) => node.session.read(chunk),
+          msg.concurrency
+        );
+        const values = dataValues.map((dataValue, i) =>
+          converter.decodeAttributeValue(targets[i].attributeId, dataValue.value?.value)
+        );
 
         // Send a per-item message on output 1 (strip items from output)
         const { items: _items, ...baseMsgRead } = msg;
@@ -353,7 +437,8 @@ module.exports = function (RED) {
             topic: items[i].nodeId,
             datatype: items[i].datatype,
             browseName: items[i].browseName,
-            payload: dataValues[i].value?.value,
+            ...(items[i].attributeId !== undefined && { attributeId: items[i].attributeId }),
+            payload: values[i],
             statusCode: dataValues[i].statusCode,
             sourceTimestamp: dataValues[i].sourceTimestamp,
             serverTimestamp: dataValues[i].serverTimestamp,
@@ -368,7 +453,8 @@ module.exports = function (RED) {
             nodeId: item.nodeId,
             datatype: item.datatype,
             browseName: item.browseName,
-            value: dataValues[i].value?.value,
+            ...(item.attributeId !== undefined && { attributeId: item.attributeId }),
+            value: values[i],
             statusCode: dataValues[i].statusCode,
             sourceTimestamp: dataValues[i].sourceTimestamp,
             serverTimestamp: dataValues[i].serverTimestamp,
@@ -387,7 +473,11 @@ module.exports = function (RED) {
     /**
      * WRITE — Write one or more node values from `msg.items`.
      *
-     * Each item in `msg.items` must have a `value` property.
+     * Each item in `msg.items` must have a `value` property.  Items with an
+     * `attributeId` write that attribute (e.g. Description) with the
+     * attribute's own data type; properties are written like values.
+     * Items without `datatype` use the type discovered from the server.
+     * Registered nodes are written through their RegisterNodes handles.
      */
     async function actionWrite(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -402,17 +492,28 @@ module.exports = function (RED) {
 
         setStatus("writing");
 
-        const writeValues = items.map((item) => ({
-          nodeId: item.nodeId,
-          attributeId: opcua.AttributeIds.Value,
-          value: converter.buildDataValue(
-            item.datatype,
-            item.value,
-            item.timestamp || msg.sourceTimestamp || msg.timestamp
-          ),
+        const targets = await resolveItemTargets(items);
+        const datatypes = await resolveItemDataTypes(items, targets);
+        const values = await encodeItemStructures(items, targets, datatypes);
+        const handles = await resolveRegisteredNodeIds(msg, targets);
+        const writeValues = items.map((item, i) => ({
+          nodeId: handles[i],
+          attributeId: targets[i].attributeId,
+          value: targets[i].attributeId === opcua.AttributeIds.Value
+            ? converter.buildDataValue(
+              datatypes[i],
+              values[i],
+              item.timestamp || msg.sourceTimestamp || msg.timestamp
+            )
+            : converter.buildAttributeDataValue(targets[i].attributeId, item.value),
         }));
 
-        const statusCodes = await node.session.write(writeValues);
+        const statusCodes = await runInChunks(
+          writeValues,
+          operationLimit("maxNodesPerWrite"),
+          (chunk) => node.session.write(chunk),
+          msg.concurrency
+        );
 
         // Strip items from output
         const { items: _items, ...baseMsgWrite } = msg;
@@ -435,6 +536,12 @@ module.exports = function (RED) {
      * Uses `msg.items` to determine which nodes to subscribe to.
      * For a single item, creates an individual ClientMonitoredItem.
      * For multiple items, creates a ClientMonitoredItemGroup.
+     *
+     * `msg.subscriptionId` names the subscription to add the items to
+     * (default: "default"); see `resolveSubscriptionParameters()`.
+     * Items may carry their own monitoring settings (samplingInterval,
+     * queueSize, discardOldest, deadbandType, deadbandValue, trigger), see
+     * converter `buildMonitoringParameters()`; the message sets the defaults.
      */
     async function actionSubscribe(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -447,47 +554,22 @@ module.exports = function (RED) {
           return;
         }
 
-        await ensureSubscription(msg);
-        setStatus("subscribing");
-
-        const samplingInterval = msg.interval || converter.toMilliseconds(node.time, node.timeUnit);
-        const queueSize = msg.queueSize || 10;
-
-        if (items.length === 1) {
-          // Single item — individual monitored item
-          const item = items[0];
-          const monitoredItem = opcua.ClientMonitoredItem.create(
-            node.subscription,
-            { nodeId: item.nodeId, attributeId: opcua.AttributeIds.Value },
-            { samplingInterval, discardOldest: true, queueSize },
-            opcua.TimestampsToReturn.Both
-          );
-
-          monitoredItem.on("changed", (dataValue) => {
-            const outMsg = {
-              topic: item.nodeId,
-              datatype: item.datatype,
-              browseName: item.browseName,
-              payload: dataValue.value?.value,
-              statusCode: dataValue.statusCode,
-              serverTimestamp: dataValue.serverTimestamp,
-              sourceTimestamp: dataValue.sourceTimestamp,
-              serverPicoseconds: dataValue.serverPicoseconds,
-              sourcePicoseconds: dataValue.sourcePicoseconds,
-            };
-            setStatus("value changed");
-            node.send([outMsg, null, null]);
-          });
+        const request = {
+          action:        "subscribe",
+          items:         items.map(toSubscriptionItem),
+          interval:      msg.interval || converter.toMilliseconds(node.time, node.timeUnit),
+          queueSize:     msg.queueSize || 10,
+          discardOldest: msg.discardOldest,
+          trigger:       msg.trigger,
+          monitoringMode: msg.monitoringMode,
+          concurrency:   msg.concurrency,
+        };
+        validateMonitoringSettings(request);
 
-          monitoredItem.on("err", (errStr) => {
-            node.error(`Monitored item error: ${errStr}`, msg);
-          });
+        const entry = getSubscriptionEntry(msg, false);
 
-          node.monitoredItems.set(item.nodeId, monitoredItem);
-        } else {
-          // Multiple items — monitored item group
-          await subscribeMultipleItems(items, msg, send);
-        }
+        await applySubscribe(entry, request);
+        entry.requests.push(request);
 
         setStatus("subscribed");
         done();
@@ -496,10 +578,59 @@ module.exports = function (RED) {
       }
     }
 
+    /**
+     * Create the monitored items of a subscribe request.
+     */
+    async function applySubscribe(entry, request) {
+      await ensureSubscription(entry);
+      setStatus("subscribing");
+
+      const { items } = request;
+
+      if (items.length === 1) {
+        // Single item — individual monitored item
+        const item = items[0];
+        const [nodeId] = await resolveItemNodeIds(items);
+        const monitoredItem = opcua.ClientMonitoredItem.create(
+          entry.subscription,
+          { nodeId, attributeId: opcua.AttributeIds.Value },
+          converter.buildMonitoringParameters(item, monitoringDefaults(request)),
+          opcua.TimestampsToReturn.Both,
+          itemMonitoringMode(item, request)
+        );
+
+        monitoredItem.on("changed", (dataValue) => {
+          deliverDataChange(entry, item, dataValue, (payload) => ({
+            topic: item.nodeId,
+            datatype: item.datatype,
+            browseName: item.browseName,
+            payload,
+            statusCode: dataValue.statusCode,
+            serverTimestamp: dataValue.serverTimestamp,
+            sourceTimestamp: dataValue.sourceTimestamp,
+            serverPicoseconds: dataValue.serverPicoseconds,
+            sourcePicoseconds: dataValue.sourcePicoseconds,
+            subscriptionId: entry.name,
+          }));
+        });
+
+        monitoredItem.on("err", (errStr) => {
+          node.error(`Monitored item error: ${errStr}`);
+        });
+
+        entry.monitoredItems.set(item.nodeId, monitoredItem);
+      } else {
+        // Multiple items — monitored item group
+        await subscribeMultipleItems(entry, items, request);
+      }
+    }
+
     /**
      * MONITOR — Subscribe with deadband filtering on one or more nodes.
      *
-     * Uses `msg.items` to determine which nodes to monitor.
+     * Uses `msg.items` to determine which nodes to monitor.  The node's
+     * deadband (or `msg.deadbandType` / `msg.deadbandValue`) and
+     * `msg.trigger` apply to items without their own settings.
      */
     async function actionMonitor(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -512,56 +643,27 @@ module.exports = function (RED) {
           return;
         }
 
-        await ensureSubscription(msg);
-        setStatus("monitoring");
-
-        const samplingInterval = msg.interval || converter.toMilliseconds(node.time, node.timeUnit);
-        const queueSize = msg.queueSize || 10;
-
         // Resolve deadband settings (msg overrides node config)
         const dbType = msg.deadbandType || node.deadbandType;
         const dbValue = msg.deadbandValue ?? node.deadbandValue;
-        const deadbandType = dbType === "p"
-          ? opcua.DeadbandType.Percent
-          : opcua.DeadbandType.Absolute;
-
-        for (const item of items) {
-          const monitoredItem = opcua.ClientMonitoredItem.create(
-            node.subscription,
-            { nodeId: item.nodeId, attributeId: opcua.AttributeIds.Value },
-            {
-              samplingInterval,
-              discardOldest: true,
-              queueSize,
-              filter: new opcua.DataChangeFilter({
-                trigger: opcua.DataChangeTrigger.StatusValue,
-                deadbandType,
-                deadbandValue: dbValue,
-              }),
-            },
-            opcua.TimestampsToReturn.Both
-          );
 
-          monitoredItem.on("changed", (dataValue) => {
-            const outMsg = {
-              topic: item.nodeId,
-              datatype: item.datatype,
-              browseName: item.browseName,
-              payload: dataValue.value?.value,
-              statusCode: dataValue.statusCode,
-              serverTimestamp: dataValue.serverTimestamp,
-              sourceTimestamp: dataValue.sourceTimestamp,
-            };
-            setStatus("value changed");
-            node.send([outMsg, null, null]);
-          });
+        const request = {
+          action:        "monitor",
+          items:         items.map(toSubscriptionItem),
+          interval:      msg.interval || converter.toMilliseconds(node.time, node.timeUnit),
+          queueSize:     msg.queueSize || 10,
+          discardOldest: msg.discardOldest,
+          trigger:       msg.trigger,
+          monitoringMode: msg.monitoringMode,
+          deadbandType:  dbType,
+          deadbandValue: dbValue,
+        };
+        validateMonitoringSettings(request);
 
-          monitoredItem.on("err", (errStr) => {
-            node.error(`Monitored item error: ${errStr}`, msg);
-          });
+        const entry = getSubscriptionEntry(msg, false);
 
-          node.monitoredItems.set(item.nodeId, monitoredItem);
-        }
+        await applyMonitor(entry, request);
+        entry.requests.push(request);
 
         setStatus("monitoring");
         done();
@@ -570,22 +672,179 @@ module.exports = function (RED) {
       }
     }
 
+    /**
+     * Create the deadband-filtered monitored items of a monitor request.
+     */
+    async function applyMonitor(entry, request) {
+      await ensureSubscription(entry);
+      setStatus("monitoring");
+
+      const { items } = request;
+      const nodeIds = await resolveItemNodeIds(items);
+
+      for (const [i, item] of items.entries()) {
+        const monitoredItem = opcua.ClientMonitoredItem.create(
+          entry.subscription,
+          { nodeId: nodeIds[i], attributeId: opcua.AttributeIds.Value },
+          converter.buildMonitoringParameters(item, monitoringDefaults(request)),
+          opcua.TimestampsToReturn.Both,
+          itemMonitoringMode(item, request)
+        );
+
+        monitoredItem.on("changed", (dataValue) => {
+          deliverDataChange(entry, item, dataValue, (payload) => ({
+            topic: item.nodeId,
+            datatype: item.datatype,
+            browseName: item.browseName,
+            payload,
+            statusCode: dataValue.statusCode,
+            serverTimestamp: dataValue.serverTimestamp,
+            sourceTimestamp: dataValue.sourceTimestamp,
+            subscriptionId: entry.name,
+          }));
+        });
+
+        monitoredItem.on("err", (errStr) => {
+          node.error(`Monitored item error: ${errStr}`);
+        });
+
+        entry.monitoredItems.set(item.nodeId, monitoredItem);
+      }
+    }
+
+    /**
+     * TRIGGER — Snapshot linked items whenever a trigger item changes
+     * (SetTriggering).
+     *
+     * The trigger is `msg.triggerItem` (an item or a NodeId), or else the
+     * first of `msg.items`; the other items are linked to it.  The trigger
+     * reports as usual, the linked items are only sampled (monitoring mode
+     * Sampling unless they set their own) and are reported by the server
+     * together with the trigger.  Every trigger report is sent as one record
+     * on output 1: `msg.payload` maps the browse name (or nodeId) of the
+     * trigger and of each linked item to its latest value, `msg.items` holds
+     * the samples.  Monitoring settings work as for subscribe.
+     */
+    async function actionTrigger(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        const items = [...(msg.items || [])];
+        const triggerItem = typeof msg.triggerItem === "string"
+          ? { nodeId: msg.triggerItem }
+          : msg.triggerItem || items.shift();
+        if (!triggerItem?.nodeId || items.length === 0) {
+          node.warn("No items to trigger — set msg.triggerItem (or the first of msg.items) and the linked msg.items");
+          done();
+          return;
+        }
+
+        const request = {
+          action:         "trigger",
+          triggerItem:    toSubscriptionItem(triggerItem),
+          items:          items.map((item) => ({ monitoringMode: "Sampling", ...toSubscriptionItem(item) })),
+          interval:       msg.interval || converter.toMilliseconds(node.time, node.timeUnit),
+          queueSize:      msg.queueSize || 10,
+          discardOldest:  msg.discardOldest,
+          trigger:        msg.trigger,
+        };
+        validateMonitoringSettings({ ...request, items: [request.triggerItem, ...request.items] });
+
+        const entry = getSubscriptionEntry(msg, false);
+
+        await applyTrigger(entry, request);
+        entry.requests.push(request);
+
+        setStatusWithDetail("subscribed", `${request.items.length} items triggered by ${request.triggerItem.nodeId}`);
+        done();
+      } catch (err) {
+        handleActionError("subscription error", err, msg, done);
+      }
+    }
+
+    /**
+     * Create the trigger and linked monitored items of a trigger request and
+     * link them with SetTriggering (in chunks of MaxMonitoredItemsPerCall).
+     */
+    async function applyTrigger(entry, request) {
+      await ensureSubscription(entry);
+      setStatus("subscribing");
+
+      const { triggerItem, items } = request;
+      const [triggerNodeId, ...nodeIds] = await resolveItemNodeIds([triggerItem, ...items]);
+      const record = triggerRecord.createTriggerRecord(triggerItem, items, (snapshot) => {
+        const samples = [snapshot.trigger, ...snapshot.links.filter(Boolean)];
+        node.send([{
+          topic: triggerItem.nodeId,
+          datatype: triggerItem.datatype,
+          browseName: triggerItem.browseName,
+          payload: Object.fromEntries(samples.map((sample) => [triggerRecord.recordKey(sample), sample.value])),
+          items: samples,
+          statusCode: snapshot.trigger.statusCode,
+          serverTimestamp: snapshot.trigger.serverTimestamp,
+          sourceTimestamp: snapshot.trigger.sourceTimestamp,
+          subscriptionId: entry.name,
+        }, null, null]);
+      });
+
+      const monitor = (item, nodeId, monitoringMode) => {
+        const monitoredItem = opcua.ClientMonitoredItem.create(
+          entry.subscription,
+          { nodeId, attributeId: opcua.AttributeIds.Value },
+          converter.buildMonitoringParameters(item, monitoringDefaults(request)),
+          opcua.TimestampsToReturn.Both,
+          monitoringMode
+        );
+        monitoredItem.on("changed", (dataValue) => {
+          setStatus("value changed");
+          record.add(item, converter.decodeExtensionObject(dataValue.value?.value), dataValue);
+        });
+        monitoredItem.on("err", (errStr) => {
+          node.error(`Monitored item error: ${errStr}`);
+        });
+        entry.monitoredItems.set(item.nodeId, monitoredItem);
+        return monitoredItem;
+      };
+
+      const triggering = monitor(triggerItem, triggerNodeId, itemMonitoringMode(triggerItem, request));
+      const links = items.map((item, i) => monitor(item, nodeIds[i], itemMonitoringMode(item, request)));
+      await Promise.all([triggering, ...links].map(waitForInitialized));
+
+      const results = await runInChunks(links, operationLimit("maxMonitoredItemsPerCall"), async (chunk) => {
+        const response = await entry.subscription.setTriggering(triggering, chunk, null);
+        return response.addResults || [];
+      });
+      results.forEach((statusCode, i) => {
+        if (statusCode?.isNotGood()) {
+          node.warn(`SetTriggering failed for ${items[i].nodeId}: ${statusCode.toString()}`);
+        }
+      });
+    }
+
     /**
      * UNSUBSCRIBE — Terminate monitoring for items in `msg.items`.
+     *
+     * With `msg.subscriptionId` only that subscription is touched; otherwise
+     * the items are removed from every subscription that monitors them.
      */
     async function actionUnsubscribe(msg, send, done) {
       const items = msg.items || [];
-
-      for (const item of items) {
-        const monitoredItem = node.monitoredItems.get(item.nodeId);
-        if (monitoredItem) {
-          try {
-            await monitoredItem.terminate();
-            node.monitoredItems.delete(item.nodeId);
-          } catch (err) {
-            node.warn(`Unsubscribe error for ${item.nodeId}: ${err.message}`);
+      const entries = selectSubscriptionEntries(msg);
+      const nodeIds = items.map((item) => item.nodeId);
+
+      for (const entry of entries) {
+        for (const nodeId of nodeIds) {
+          const monitoredItem = entry.monitoredItems.get(nodeId);
+          if (monitoredItem) {
+            try {
+              await monitoredItem.terminate();
+              entry.monitoredItems.delete(nodeId);
+            } catch (err) {
+              node.warn(`Unsubscribe error for ${nodeId}: ${err.message}`);
+            }
           }
         }
+        forgetSubscriptionItems(entry, nodeIds);
       }
 
       msg.payload = `Unsubscribed from ${items.length} item(s)`;
@@ -595,12 +854,18 @@ module.exports = function (RED) {
     }
 
     /**
-     * DELETE SUBSCRIPTION — Terminate the entire subscription.
+     * DELETE SUBSCRIPTION — Terminate the subscription named by
+     * `msg.subscriptionId`, or every subscription of this node without it.
      */
     async function actionDeleteSubscription(msg, send, done) {
       try {
-        await terminateSubscription();
-        msg.payload = "Subscription deleted";
+        const entries = selectSubscriptionEntries(msg);
+        for (const entry of entries) {
+          await deleteSubscriptionEntry(entry);
+        }
+        msg.payload = entries.length === 1
+          ? `Subscription "${entries[0].name}" deleted`
+          : "Subscription deleted";
         setStatus("session active");
         send([msg, null, null]);
       } catch (err) {
@@ -609,128 +874,467 @@ module.exports = function (RED) {
       done();
     }
 
-    // ═══════════════════════════════════════════════════════════════════
-    //  ACTION HANDLERS — Browse
-    // ═══════════════════════════════════════════════════════════════════
-
     /**
-     * BROWSE — Browse the address space with configurable depth.
-     *
-     * Uses session.browse() in a recursive loop controlled by msg.maxDepth.
-     * Each reference is enriched with Value + DataType for Variable nodes.
+     * MODIFY SUBSCRIPTION — Change the subscription named by
+     * `msg.subscriptionId` in place (ModifySubscription / SetPublishingMode),
+     * without re-creating it or its monitored items.
      *
-     * msg.maxDepth = 1 (default) → direct children only
-     * msg.maxDepth = N           → recurse N levels deep
-     * msg.collect  = true        → nested tree structure in msg.payload (output 1)
-     * msg.collect  = false       → one flat message per reference (output 1)
+     * Takes `msg.publishingInterval` (or `msg.interval`),
+     * `msg.maxKeepAliveCount`, `msg.lifetimeCount`,
+     * `msg.maxNotificationsPerPublish`, `msg.priority` and
+     * `msg.publishingEnabled`; unset values are kept.  The revised values are
+     * sent on output 1 and the new ones are kept for restoring the
+     * subscription on a new session.
      */
-    async function actionBrowse(msg, send, done) {
+    async function actionModifySubscription(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        setStatus("browsing");
-
-        const startNodeId = resolveNodeId(msg) || "ns=0;i=85";
-        const maxDepth = Number(msg.maxDepth) || 1;
-
-        const tree = await browseLevel(startNodeId, 1, maxDepth);
-
-        if (tree.length === 0) {
-          msg.payload = [];
-          send([msg, null, null]);
-          setStatusWithDetail("browse done", "0 items");
+        const entry = getStartedSubscriptionEntry(msg);
+        const changes = {
+          requestedPublishingInterval: msg.publishingInterval ?? msg.interval,
+          requestedMaxKeepAliveCount:  msg.maxKeepAliveCount,
+          requestedLifetimeCount:      msg.lifetimeCount,
+          maxNotificationsPerPublish:  msg.maxNotificationsPerPublish,
+          priority:                    msg.priority,
+        };
+        for (const [key, value] of Object.entries(changes)) {
+          if (value === undefined || value === null || value === "") delete changes[key];
+          else changes[key] = Number(value);
+        }
+        if (Object.keys(changes).length === 0 && msg.publishingEnabled === undefined) {
+          node.warn("Nothing to modify — set msg.publishingInterval, msg.maxKeepAliveCount, "
+            + "msg.lifetimeCount, msg.maxNotificationsPerPublish, msg.priority or msg.publishingEnabled");
           done();
           return;
         }
 
-        if (msg.collect) {
-          // Collect mode: nested tree structure
-          msg.payload = tree;
-          send([msg, null, null]);
-        } else {
-          // Stream mode: flatten tree and send one message per entry
-          const flat = flattenTree(tree);
-          for (const entry of flat) {
-            send([{ topic: msg.topic, payload: entry }, null, null]);
-          }
+        const { subscription } = entry;
+        if (Object.keys(changes).length > 0) {
+          await subscription.modify({ ...changes });
+          Object.assign(entry.parameters, changes);
+        }
+        if (msg.publishingEnabled !== undefined) {
+          const publishingEnabled = msg.publishingEnabled === true || msg.publishingEnabled === "true";
+          const statusCode = await subscription.setPublishingMode(publishingEnabled);
+          if (statusCode.isNotGood()) throw new Error(`SetPublishingMode failed: ${statusCode.toString()}`);
+          entry.parameters.publishingEnabled = publishingEnabled;
         }
 
-        const count = countTreeNodes(tree);
-        setStatusWithDetail("browse done", `${count} items`);
+        msg.payload = {
+          subscriptionId:             entry.name,
+          publishingInterval:         subscription.publishingInterval,
+          maxKeepAliveCount:          subscription.maxKeepAliveCount,
+          lifetimeCount:              subscription.lifetimeCount,
+          maxNotificationsPerPublish: entry.parameters.maxNotificationsPerPublish,
+          priority:                   entry.parameters.priority,
+          publishingEnabled:          entry.parameters.publishingEnabled,
+        };
+        setStatusWithDetail("subscription modified", entry.name);
+        send([msg, null, null]);
         done();
       } catch (err) {
-        handleActionError("browse error", err, msg, done);
+        handleActionError("subscription error", err, msg, done);
       }
     }
 
     /**
-     * Recursively browse one level and return an array of enriched entries.
-     * Each non-variable entry gets a `children` array populated by recursion.
+     * MODIFY MONITOR — Change monitored items of the subscription named by
+     * `msg.subscriptionId` in place (ModifyMonitoredItems /
+     * SetMonitoringMode), so no data changes are lost in between.
      *
-     * @param {string} nodeId   - NodeId to browse
-     * @param {number} depth    - Current depth (1-based)
-     * @param {number} maxDepth - Maximum depth to recurse
-     * @returns {Promise<object[]>} Array of enriched browse entries
+     * `msg.items` selects the items (default: all data items of the
+     * subscription) and may carry new settings per item; `msg.samplingInterval`
+     * (or `msg.interval`), `msg.queueSize`, `msg.discardOldest`,
+     * `msg.deadbandType`, `msg.deadbandValue`, `msg.trigger` and
+     * `msg.monitoringMode` apply to all of them.  Settings not given are kept.
+     * Sends the revised settings per item on output 1; the new settings are
+     * kept for restoring the items on a new session.
      */
-    async function browseLevel(nodeId, depth, maxDepth) {
-      const browseResult = await node.session.browse({
-        nodeId,
-        browseDirection: opcua.BrowseDirection.Forward,
-        referenceTypeId: "HierarchicalReferences",
-        includeSubtypes: true,
-        resultMask: 0x3F,
-      });
+    async function actionModifyMonitor(msg, send, done) {
+      if (!assertSession(msg, done)) return;
 
-      const references = browseResult.references || [];
-      const entries = [];
+      try {
+        const entry = getStartedSubscriptionEntry(msg);
+        const subscribed = subscribedItems(entry);
+        const updates = new Map((msg.items || []).map((item) => [item.nodeId, item]));
+        const nodeIds = updates.size > 0 ? [...updates.keys()] : [...subscribed.keys()];
+
+        const unknown = nodeIds.filter((nodeId) =>
+          !subscribed.has(nodeId) || !entry.monitoredItems.get(nodeId)?.monitoredItemId);
+        if (unknown.length > 0) {
+          node.warn(`Not monitored in subscription "${entry.name}": ${unknown.join(", ")}`);
+        }
 
-      for (const ref of references) {
-        const entry = {
-          browseName:     ref.browseName?.name || ref.browseName?.toString() || "",
-          nodeId:         ref.nodeId.toString(),
-          displayName:    ref.displayName?.text || "",
-          nodeClass:      opcua.NodeClass[ref.nodeClass] || String(ref.nodeClass),
-          typeDefinition: ref.typeDefinition?.toString() || "",
-          isVariable:     ref.nodeClass === opcua.NodeClass.Variable,
-          value:          null,
-          dataType:       "",
-          depth,
-          children:       [],
+        // New settings: the message's, then the item's own, over the current ones
+        const overrides = {
+          samplingInterval: msg.samplingInterval ?? msg.interval,
+          queueSize:        msg.queueSize,
+          discardOldest:    msg.discardOldest,
+          deadbandType:     msg.deadbandType,
+          deadbandValue:    msg.deadbandValue,
+          trigger:          msg.trigger,
+          monitoringMode:   msg.monitoringMode,
         };
-
-        // Read Value + DataType for Variable nodes
-        if (ref.nodeClass === opcua.NodeClass.Variable) {
-          try {
-            const dataValues = await node.session.read([
-              { nodeId: ref.nodeId, attributeId: opcua.AttributeIds.Value },
-              { nodeId: ref.nodeId, attributeId: opcua.AttributeIds.DataType },
-            ]);
-            entry.value = dataValues[0]?.value?.value ?? null;
-            if (dataValues[1]?.value?.value) {
-              const dtNodeId = dataValues[1].value.value;
-              entry.dataType = opcua.DataType[dtNodeId.value] || dtNodeId.toString();
-            }
-          } catch {
-            // Some nodes may not support reading — keep null/empty
-          }
+        const changes = nodeIds.filter((nodeId) => !unknown.includes(nodeId)).map((nodeId) => {
+          const { item, request } = subscribed.get(nodeId);
+          const settings = pickMonitoringSettings(
+            { ...monitoringDefaults(request), monitoringMode: request.monitoringMode },
+            item,
+            overrides,
+            updates.get(nodeId) || {}
+          );
+          return {
+            item,
+            settings,
+            monitoredItem:  entry.monitoredItems.get(nodeId),
+            parameters:     converter.buildMonitoringParameters(settings),
+            monitoringMode: converter.resolveMonitoringMode(settings.monitoringMode),
+          };
+        });
+        if (changes.length === 0) {
+          node.warn("No monitored items to modify");
+          done();
+          return;
         }
 
-        // Recurse into non-variable nodes (objects/folders) if under max depth
-        if (depth < maxDepth && ref.nodeClass !== opcua.NodeClass.Variable) {
-          entry.children = await browseLevel(ref.nodeId.toString(), depth + 1, maxDepth);
-        }
+        const limit = operationLimit("maxMonitoredItemsPerCall");
+        const results = await runInChunks(changes, limit, async (chunk) => {
+          const response = await node.session.modifyMonitoredItems({
+            subscriptionId:     entry.subscriptionId,
+            timestampsToReturn: opcua.TimestampsToReturn.Both,
+            itemsToModify:      chunk.map(({ monitoredItem, parameters }) => ({
+              monitoredItemId:     monitoredItem.monitoredItemId,
+              requestedParameters: { ...parameters, clientHandle: monitoredItem.monitoringParameters.clientHandle },
+            })),
+          });
+          return response.results;
+        });
+        const modeResults = await setMonitoringModes(entry, changes, limit);
+
+        let modified = 0;
+        msg.payload = changes.map((change, i) => {
+          const statusCode = [results[i].statusCode, modeResults.get(change)]
+            .find((code) => code?.isNotGood()) || results[i].statusCode;
+          if (results[i].statusCode.isGood()) {
+            // node-opcua recreates the item from these when it repairs the subscription
+            Object.assign(change.monitoredItem.monitoringParameters, {
+              samplingInterval: results[i].revisedSamplingInterval,
+              queueSize:        results[i].revisedQueueSize,
+              discardOldest:    change.parameters.discardOldest,
+              filter:           change.parameters.filter || null,
+            });
+          }
+          if (statusCode.isGood()) {
+            // Keep the new settings for a rebuild on a new session
+            Object.assign(change.item, change.settings);
+            modified++;
+          }
+          return {
+            nodeId:                  change.item.nodeId,
+            statusCode,
+            revisedSamplingInterval: results[i].revisedSamplingInterval,
+            revisedQueueSize:        results[i].revisedQueueSize,
+            monitoringMode:          opcua.MonitoringMode[change.monitoredItem.monitoringMode],
+          };
+        });
+        msg.subscriptionId = entry.name;
 
-        entries.push(entry);
+        setStatusWithDetail("subscription modified", `${modified}/${changes.length} items`);
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("subscription error", err, msg, done);
       }
-
-      return entries;
     }
 
     /**
-     * Flatten a browse tree into a flat array (for stream mode).
-     * Removes the `children` property from each entry.
+     * Switch the monitoring mode of the changed items whose mode differs,
+     * one SetMonitoringMode call per mode and chunk.
+     *
+     * @returns {Promise<Map>} change → StatusCode of its SetMonitoringMode.
      */
-    function flattenTree(tree) {
+    async function setMonitoringModes(entry, changes, limit) {
+      const statusCodes = new Map();
+      const byMode = new Map();
+      for (const change of changes) {
+        if (change.monitoringMode === change.monitoredItem.monitoringMode) continue;
+        if (!byMode.has(change.monitoringMode)) byMode.set(change.monitoringMode, []);
+        byMode.get(change.monitoringMode).push(change);
+      }
+
+      for (const [monitoringMode, members] of byMode) {
+        await runInChunks(members, limit, async (chunk) => {
+          const response = await node.session.setMonitoringMode({
+            subscriptionId:   entry.subscriptionId,
+            monitoringMode,
+            monitoredItemIds: chunk.map(({ monitoredItem }) => monitoredItem.monitoredItemId),
+          });
+          chunk.forEach((change, i) => {
+            const statusCode = response.results[i];
+            statusCodes.set(change, statusCode);
+            if (statusCode.isGood()) change.monitoredItem.monitoringMode = monitoringMode;
+          });
+          return chunk;
+        });
+      }
+      return statusCodes;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  ACTION HANDLERS — Polling
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * POLL — Read `msg.items` cyclically, for servers whose subscriptions
+     * cannot be used.
+     *
+     * Reads every `msg.interval` ms (default: the node's interval) on a
+     * drift-free schedule, in chunks of MaxNodesPerRead, and sends a message
+     * per item on output 1 like a read.  With `msg.onChange` (or the node's
+     * "Only changes" option) only items that changed by more than their
+     * `threshold` (`item.threshold`, default `msg.threshold`) are sent.
+     * `msg.pollId` names the poll (default: "default"); polling the same
+     * name again replaces it.  Polls pause while the session reconnects.
+     */
+    async function actionPoll(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        const items = msg.items;
+        if (!items?.length) {
+          node.warn("No items to poll — msg.items is empty or missing");
+          done();
+          return;
+        }
+
+        const name = resolvePollName(msg);
+        stopPoll(name);
+
+        const interval = Number(msg.interval) || converter.toMilliseconds(node.time, node.timeUnit);
+        const poll = {
+          name,
+          items: items.map((item) => ({
+            nodeId:     item.nodeId,
+            datatype:   item.datatype,
+            browseName: item.browseName,
+            ...(item.attributeId !== undefined && { attributeId: item.attributeId }),
+            threshold:  Number(item.threshold ?? msg.threshold) || 0,
+          })),
+          onChange:      msg.onChange ?? node.pollOnChange,
+          registerNodes: msg.registerNodes,
+          reported:      new Map(),   // item index → last reported { value, status }
+        };
+        poll.schedule = polling.schedulePoll(interval, () => pollOnce(poll));
+        node.polls.set(name, poll);
+
+        setStatusWithDetail("polling", `${poll.items.length} items every ${interval} ms`);
+        done();
+      } catch (err) {
+        handleActionError("read error", err, msg, done);
+      }
+    }
+
+    /**
+     * STOPPOLL — Stop the poll named by `msg.pollId`, or all polls.
+     */
+    function actionStopPoll(msg, send, done) {
+      if (msg.pollId === undefined) {
+        stopAllPolls();
+      } else {
+        stopPoll(resolvePollName(msg));
+      }
+      setStatus("poll stopped");
+      done();
+    }
+
+    /**
+     * One cycle of a poll: read its items and send the (changed) values.
+     * Skipped while there is no ready session.
+     */
+    async function pollOnce(poll) {
+      if (!node.session || !node.connection?.isReady) return;
+
+      try {
+        const targets = await resolveItemTargets(poll.items);
+        const handles = await resolveRegisteredNodeIds(poll, targets);
+        const dataValues = await runInChunks(
+          targets.map(({ attributeId }, i) => ({ nodeId: handles[i], attributeId })),
+          operationLimit("maxNodesPerRead"),
+          (chunk) => node.session.read(chunk)
+        );
+        if (node.polls.get(poll.name) !== poll) return;   // Stopped meanwhile
+
+        let changed = 0;
+        dataValues.forEach((dataValue, i) => {
+          const item = poll.items[i];
+          const value = converter.decodeAttributeValue(targets[i].attributeId, dataValue.value?.value);
+          const sample = { value, status: dataValue.statusCode.value };
+          if (poll.onChange && !polling.hasChanged(poll.reported.get(i), sample, item.threshold)) return;
+
+          poll.reported.set(i, sample);
+          changed++;
+          node.send([{
+            topic: item.nodeId,
+            datatype: item.datatype,
+            browseName: item.browseName,
+            ...(item.attributeId !== undefined && { attributeId: item.attributeId }),
+            payload: value,
+            statusCode: dataValue.statusCode,
+            sourceTimestamp: dataValue.sourceTimestamp,
+            serverTimestamp: dataValue.serverTimestamp,
+            pollId: poll.name,
+          }, null, null]);
+        });
+        if (changed > 0 && poll.onChange) setStatus("value changed");
+      } catch (err) {
+        if (!node.session) return;   // Session lost during the read
+        setStatusWithDetail("read error", err.message);
+        node.warn(`Poll error (${poll.name}): ${err.message}`);
+      }
+    }
+
+    /**
+     * The poll name of a message (`msg.pollId`).
+     */
+    function resolvePollName(msg) {
+      const name = msg.pollId;
+      return name === undefined || name === null || name === "" ? "default" : String(name);
+    }
+
+    function stopPoll(name) {
+      const poll = node.polls.get(name);
+      if (!poll) return;
+      poll.schedule.stop();
+      node.polls.delete(name);
+    }
+
+    function stopAllPolls() {
+      for (const name of [...node.polls.keys()]) stopPoll(name);
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  ACTION HANDLERS — Browse
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * BROWSE — Browse the address space with configurable depth.
+     *
+     * Uses session.browse() in a recursive loop controlled by msg.maxDepth.
+     * Each reference is enriched with Value + DataType for Variable nodes.
+     *
+     * msg.maxDepth = 1 (default) → direct children only
+     * msg.maxDepth = N           → recurse N levels deep
+     * msg.collect  = true        → nested tree structure in msg.payload (output 1)
+     * msg.collect  = false       → one flat message per reference (output 1)
+     */
+    async function actionBrowse(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("browsing");
+
+        const startNodeId = (await resolveNodeId(msg)) || "ns=0;i=85";
+        const maxDepth = Number(msg.maxDepth) || 1;
+
+        const tree = await browseLevel(startNodeId, 1, maxDepth);
+
+        if (tree.length === 0) {
+          msg.payload = [];
+          send([msg, null, null]);
+          setStatusWithDetail("browse done", "0 items");
+          done();
+          return;
+        }
+
+        if (msg.collect) {
+          // Collect mode: nested tree structure
+          msg.payload = tree;
+          send([msg, null, null]);
+        } else {
+          // Stream mode: flatten tree and send one message per entry
+          const flat = flattenTree(tree);
+          for (const entry of flat) {
+            send([{ topic: msg.topic, payload: entry }, null, null]);
+          }
+        }
+
+        const count = countTreeNodes(tree);
+        setStatusWithDetail("browse done", `${count} items`);
+        done();
+      } catch (err) {
+        handleActionError("browse error", err, msg, done);
+      }
+    }
+
+    /**
+     * Recursively browse one level and return an array of enriched entries.
+     * Each non-variable entry gets a `children` array populated by recursion.
+     *
+     * @param {string} nodeId   - NodeId to browse
+     * @param {number} depth    - Current depth (1-based)
+     * @param {number} maxDepth - Maximum depth to recurse
+     * @returns {Promise<object[]>} Array of enriched browse entries
+     */
+    async function browseLevel(nodeId, depth, maxDepth) {
+      const browseResult = await node.session.browse({
+        nodeId,
+        browseDirection: opcua.BrowseDirection.Forward,
+        referenceTypeId: "HierarchicalReferences",
+        includeSubtypes: true,
+        resultMask: 0x3F,
+      });
+
+      const references = browseResult.references || [];
+      const entries = [];
+
+      for (const ref of references) {
+        const entry = {
+          browseName:     ref.browseName?.name || ref.browseName?.toString() || "",
+          nodeId:         ref.nodeId.toString(),
+          displayName:    ref.displayName?.text || "",
+          nodeClass:      opcua.NodeClass[ref.nodeClass] || String(ref.nodeClass),
+          typeDefinition: ref.typeDefinition?.toString() || "",
+          isVariable:     ref.nodeClass === opcua.NodeClass.Variable,
+          value:          null,
+          dataType:       "",
+          depth,
+          children:       [],
+        };
+
+        // Read Value + DataType for Variable nodes
+        if (ref.nodeClass === opcua.NodeClass.Variable) {
+          try {
+            const dataValues = await node.session.read([
+              { nodeId: ref.nodeId, attributeId: opcua.AttributeIds.Value },
+              { nodeId: ref.nodeId, attributeId: opcua.AttributeIds.DataType },
+            ]);
+            entry.value = dataValues[0]?.value?.value ?? null;
+            if (dataValues[1]?.value?.value) {
+              const dtNodeId = dataValues[1].value.value;
+              entry.dataType = opcua.DataType[dtNodeId.value] || dtNodeId.toString();
+            }
+          } catch {
+            // Some nodes may not support reading — keep null/empty
+          }
+        }
+
+        // Recurse into non-variable nodes (objects/folders) if under max depth
+        if (depth < maxDepth && ref.nodeClass !== opcua.NodeClass.Variable) {
+          entry.children = await browseLevel(ref.nodeId.toString(), depth + 1, maxDepth);
+        }
+
+        entries.push(entry);
+      }
+
+      return entries;
+    }
+
+    /**
+     * Flatten a browse tree into a flat array (for stream mode).
+     * Removes the `children` property from each entry.
+     */
+    function flattenTree(tree) {
       const flat = [];
       for (const entry of tree) {
         const { children, ...rest } = entry;
@@ -765,7 +1369,7 @@ module.exports = function (RED) {
       try {
         setStatus("reading");
 
-        const nodeId = resolveNodeId(msg);
+        const nodeId = await resolveNodeId(msg);
         const attributes = await node.session.readAllAttributes(nodeId);
 
         msg.payload = attributes;
@@ -782,88 +1386,236 @@ module.exports = function (RED) {
 
     /**
      * EVENTS — Subscribe to OPC UA events/alarms.
+     *
+     * Only events matching `msg.eventTypeIds`, `msg.minSeverity`,
+     * `msg.sourceNodes`, `msg.sourceNames` and `msg.where` are delivered;
+     * see `resolveEventFilterOptions()`.
+     *
+     * With `msg.alarmTable = true` the node also keeps the list of retained
+     * conditions (see opcua-alarms `createAlarmTable()`), calls
+     * ConditionRefresh to fill it and sends the whole list on output 3
+     * whenever it changes.
      */
     async function actionEvents(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        await ensureSubscription(msg, true);
-        setStatus("subscribing");
+        const entry = getSubscriptionEntry(msg, true);
+        const request = {
+          action:       "events",
+          eventNodeId:  msg.topic || "i=2253",        // Default: Server object
+          fields:       resolveEventFields(msg),
+          filter:       resolveEventFilterOptions(msg),
+          interval:     msg.interval || converter.toMilliseconds(node.time, node.timeUnit),
+          alarmTable:   msg.alarmTable === true,
+        };
+        if (request.alarmTable && !request.fields.includes("EventType")) {
+          // Needed to recognise the RefreshStart/RefreshEnd events
+          request.fields.push("EventType");
+        }
 
-        // Build event filter fields
-        const baseFields = [
-          "SourceName", "EventId", "ReceiveTime", "Severity",
-          "Message", "ConditionName", "ConditionType",
-        ];
-        const customFields = msg.customEventFields || [];
-        const allFields = [...baseFields, ...customFields];
-        const eventFilter = opcua.constructEventFilter(allFields);
+        await applyEvents(entry, request);
+        entry.requests.push(request);
 
-        const eventNodeId = msg.topic || "i=2253"; // Default: Server object
-        const eventTypeIds = msg.eventTypeIds || "i=2041"; // Default: BaseEvent
+        setStatus("subscribed");
+        done();
+      } catch (err) {
+        handleActionError("subscription error", err, msg, done);
+      }
+    }
 
-        const monitoredItem = opcua.ClientMonitoredItem.create(
-          node.subscription,
-          {
-            nodeId: opcua.resolveNodeId(eventNodeId),
-            attributeId: opcua.AttributeIds.EventNotifier,
-          },
-          {
-            samplingInterval: 0,
-            discardOldest: true,
-            queueSize: 100,
-            filter: eventFilter,
-          }
-        );
+    /**
+     * Create the event monitored item of an events request.
+     */
+    async function applyEvents(entry, request) {
+      await ensureSubscription(entry);
+      setStatus("subscribing");
+
+      const { eventNodeId, fields: allFields } = request;
+      const [sourceNodeId] = await resolveAddresses([eventNodeId]);
+      const filter = await buildEventFilter(allFields, request.filter);
+      // A new table per monitored item — a rebuilt subscription refreshes it
+      const alarmTable = request.alarmTable ? alarms.createAlarmTable() : null;
+
+      const monitoredItem = opcua.ClientMonitoredItem.create(
+        entry.subscription,
+        {
+          nodeId: opcua.resolveNodeId(sourceNodeId),
+          attributeId: opcua.AttributeIds.EventNotifier,
+        },
+        {
+          samplingInterval: 0,
+          discardOldest: true,
+          queueSize: 100,
+          filter,
+        }
+      );
 
-        monitoredItem.on("changed", (eventFields) => {
-          // Map field names to values
-          const eventData = {};
-          allFields.forEach((fieldName, i) => {
-            const variant = eventFields[i];
-            eventData[fieldName] = variant?.value ?? variant;
-          });
+      monitoredItem.on("changed", (eventFields) => {
+        const eventData = mapEventFields(allFields, eventFields);
 
-          const outMsg = {
-            topic: eventNodeId,
-            payload: eventData,
-            eventFields,
-          };
-          setStatus("event received");
-          node.send([outMsg, null, null]);
-        });
+        const outMsg = {
+          topic: eventNodeId,
+          payload: eventData,
+          eventFields,
+          subscriptionId: entry.name,
+        };
+        setStatus("event received");
+        node.send([outMsg, null, null]);
 
-        monitoredItem.on("err", (errStr) => {
-          node.error(`Event monitor error: ${errStr}`, msg);
-        });
+        if (alarmTable && alarmTable.update(eventData)) {
+          node.send([null, null, {
+            topic: "alarms",
+            payload: alarmTable.list(),
+            subscriptionId: entry.name,
+          }]);
+        }
+      });
 
-        node.monitoredItems.set(`event:${eventNodeId}`, monitoredItem);
-        setStatus("subscribed");
-        done();
+      await waitForInitialized(monitoredItem);
+
+      // The server reports unsupported where-clause elements per element
+      const rejected = (monitoredItem.filterResult?.whereClauseResult?.elementResults || [])
+        .filter((result) => result.statusCode.isNotGood());
+      if (rejected.length > 0) {
+        node.warn(`Event filter of ${eventNodeId} rejected by the server: `
+          + rejected.map((result) => result.statusCode.name).join(", "));
+      }
+
+      monitoredItem.on("err", (errStr) => {
+        node.error(`Event monitor error: ${errStr}`);
+      });
+
+      entry.monitoredItems.set(`event:${eventNodeId}`, monitoredItem);
+
+      if (alarmTable) {
+        await refreshConditions(entry);
+      }
+    }
+
+    /**
+     * Call ConditionRefresh for the alarm table of an events request.
+     * Servers without Alarms & Conditions reject it; the table then only
+     * fills with new condition events.
+     */
+    async function refreshConditions(entry) {
+      try {
+        const statusCode = await opcua.callConditionRefresh(node.session, entry.subscription.subscriptionId);
+        if (statusCode.isNotGood()) {
+          node.warn(`ConditionRefresh for alarm table failed: ${statusCode.name}`);
+        }
       } catch (err) {
-        handleActionError("subscription error", err, msg, done);
+        node.warn(`ConditionRefresh for alarm table failed: ${err.message}`);
       }
     }
 
     /**
-     * ACKNOWLEDGE — Acknowledge an alarm/condition.
+     * Select fields of an event request: the standard fields, the condition
+     * state fields and `msg.customEventFields`.
+     */
+    function resolveEventFields(msg) {
+      const baseFields = [
+        "SourceName", "EventId", "Time", "ReceiveTime", "Severity",
+        "Message", "ConditionName", "ConditionType",
+      ];
+      return [...new Set([...baseFields, ...Object.values(alarms.CONDITION_FIELDS), ...(msg.customEventFields || [])])];
+    }
+
+    /**
+     * Where-clause options of an event request (see opcua-event-filter):
+     * `msg.eventTypeIds` (default: BaseEvent, i.e. all events),
+     * `msg.minSeverity`, `msg.sourceNodes`, `msg.sourceNames` and `msg.where`.
+     */
+    function resolveEventFilterOptions(msg) {
+      return {
+        eventTypeIds: msg.eventTypeIds || "i=2041",
+        minSeverity:  msg.minSeverity,
+        sourceNodes:  msg.sourceNodes,
+        sourceNames:  msg.sourceNames,
+        where:        msg.where,
+      };
+    }
+
+    /**
+     * Build the EventFilter of an event request.  Event types and source
+     * nodes may be browse paths.
      */
-    async function actionAcknowledge(msg, send, done) {
+    async function buildEventFilter(fields, options) {
+      const toList = (value) => [].concat(value ?? []).filter((v) => v !== "");
+      return eventFilter.buildEventFilter(fields, {
+        ...options,
+        eventTypeIds: await resolveAddresses(toList(options.eventTypeIds)),
+        sourceNodes:  await resolveAddresses(toList(options.sourceNodes)),
+      });
+    }
+
+    /**
+     * Map the Variants of an event field list to `{ fieldName: value }`.
+     */
+    function mapEventFields(fields, eventFields) {
+      const conditionFields = Object.entries(alarms.CONDITION_FIELDS);
+      const eventData = {};
+      fields.forEach((fieldName, i) => {
+        const variant = eventFields[i];
+        const condition = conditionFields.find(([, path]) => path === fieldName);
+        if (condition) {
+          // Condition state, e.g. ActiveState.Id → ActiveState: true
+          eventData[condition[0]] = alarms.decodeConditionField(variant?.value ?? null);
+        } else {
+          eventData[fieldName] = variant?.value ?? variant;
+        }
+      });
+      return eventData;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  ACTION HANDLERS — Alarms & Conditions
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * ACKNOWLEDGE / CONFIRM / ADDCOMMENT / ENABLE / DISABLE / TIMEDSHELVE /
+     * ONESHOTSHELVE / UNSHELVE — Call a method of the condition in
+     * `msg.conditionId` (NodeId or browse path; the `ConditionId` field of
+     * its events).
+     *
+     *   - acknowledge, confirm, addcomment: `msg.eventId` (EventId of the
+     *     event) and `msg.comment`
+     *   - timedshelve: `msg.shelvingTime` in ms
+     *
+     * `msg.payload` is the StatusCode of the call.
+     */
+    async function actionConditionMethod(methodName, msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        setStatus("acknowledging");
+        setStatus(methodName === "Acknowledge" ? "acknowledging" : "calling method");
 
-        const conditionId = opcua.coerceNodeId(msg.conditionId);
-        const eventId = msg.eventId;
-        const comment = msg.comment || "Acknowledged from Node-RED";
+        if (!msg.conditionId) {
+          throw new Error("msg.conditionId is required");
+        }
+        const [conditionId] = await resolveAddresses([String(msg.conditionId)]);
+
+        let inputArguments = [];
+        if (["Acknowledge", "Confirm", "AddComment"].includes(methodName)) {
+          const comment = msg.comment || (methodName === "Acknowledge" ? "Acknowledged from Node-RED" : "");
+          inputArguments = alarms.commentArguments(alarms.toEventId(msg.eventId), comment);
+        } else if (methodName === "TimedShelve") {
+          if (!(Number(msg.shelvingTime) > 0)) {
+            throw new Error("msg.shelvingTime (ms) is required for timedshelve");
+          }
+          inputArguments = [new opcua.Variant({ dataType: opcua.DataType.Double, value: Number(msg.shelvingTime) })];
+        }
 
-        const statusCode = await node.session.acknowledgeCondition(
-          conditionId,
-          eventId,
-          comment
+        const statusCode = await alarms.callConditionMethod(
+          node.session, conditionId, methodName, inputArguments, node.connection?.browsePathCache
         );
 
+        if (statusCode.isGood()) {
+          setStatusWithDetail("condition updated", methodName);
+        } else {
+          setStatusWithDetail("method error", `${methodName}: ${statusCode.name}`);
+        }
+
         msg.payload = statusCode;
         send([msg, null, null]);
         done();
@@ -872,12 +1624,66 @@ module.exports = function (RED) {
       }
     }
 
+    /**
+     * CONDITIONREFRESH — Ask the server to resend the current state of all
+     * retained conditions to the event subscriptions.  Refreshes the
+     * subscription named by `msg.subscriptionId`, or every subscription with
+     * an events request.  Conditions arrive as regular events between a
+     * RefreshStartEvent and a RefreshEndEvent.
+     */
+    async function actionConditionRefresh(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        const entries = selectSubscriptionEntries(msg).filter((entry) =>
+          entry.subscription && entry.requests.some((request) => request.action === "events")
+        );
+        if (entries.length === 0) {
+          throw new Error("No event subscription to refresh — subscribe to events first");
+        }
+
+        setStatus("calling method");
+
+        const statusCodes = [];
+        for (const entry of entries) {
+          statusCodes.push(await opcua.callConditionRefresh(node.session, entry.subscription.subscriptionId));
+        }
+
+        const failed = statusCodes.find((statusCode) => statusCode.isNotGood());
+        if (failed) {
+          setStatusWithDetail("method error", `ConditionRefresh: ${failed.name}`);
+        } else {
+          setStatusWithDetail("condition updated", "ConditionRefresh");
+        }
+
+        msg.payload = statusCodes.length === 1 ? statusCodes[0] : statusCodes;
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("error", err, msg, done);
+      }
+    }
+
     // ═══════════════════════════════════════════════════════════════════
     //  ACTION HANDLERS — History
     // ═══════════════════════════════════════════════════════════════════
 
     /**
      * HISTORY — Read historical values or aggregates.
+     *
+     * Reads `msg.items` (or the single node in `msg.topic`) from `msg.start`
+     * to `msg.end`, following continuation points until the range is complete
+     * or `msg.maxValues` values per node have been read.  `msg.numValuesPerNode`
+     * sets the page size of raw reads.
+     *
+     * `msg.aggregate` is "raw" (default), an aggregate name or an array of
+     * names; each node is read once per aggregate and the output messages
+     * carry the aggregate's name in `msg.aggregate`.
+     *
+     * By default one message per node (and aggregate) is sent with the
+     * complete HistoryReadResult; processed reads also send a table of all
+     * values on output 3.  With `msg.stream = true` one message is sent per
+     * page and node instead (`msg.page`, `msg.progress`, `msg.complete`).
      */
     async function actionHistory(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -885,49 +1691,356 @@ module.exports = function (RED) {
       try {
         setStatus("reading");
 
-        const nodeId = resolveNodeId(msg);
-        const start = msg.start ? new Date(msg.start) : new Date(Date.now() - 3600000);
-        const end = msg.end ? new Date(msg.end) : new Date();
-        const aggregate = msg.aggregate || "raw";
-
-        let result;
-
-        if (aggregate === "raw") {
-          result = await node.session.readHistoryValue(
-            nodeId,
-            start,
-            end,
-            {
-              numValuesPerNode: msg.numValuesPerNode || 1000,
-              returnBounds: msg.returnBounds || false,
-            }
-          );
+        const { start, end } = resolveHistoryRange(msg);
+        let targets = await resolveHistoryTargets(msg);
+
+        // Processed reads: one entry per node and aggregate
+        const aggregates = (msg.aggregate || "raw") === "raw"
+          ? null
+          : [].concat(msg.aggregate).map(history.resolveAggregate);
+        if (aggregates) {
+          targets = targets.flatMap((target) => aggregates.map((aggregate) => ({
+            ...target,
+            output: { ...target.output, aggregate: aggregate.name },
+            aggregateType: aggregate.nodeId,
+          })));
+        }
+
+        const { total, results } = await readHistory(msg, send, targets, {
+          makeDetails: buildHistoryReadDetails(msg, targets, start, end),
+          limitName: "maxNodesPerHistoryReadData",
+          start,
+          end,
+          pagePayload: (result) => result.dataValues,
+          collectPayload: (result) => new opcua.HistoryReadResult({
+            statusCode: result.statusCode,
+            historyData: new opcua.HistoryData({ dataValues: result.dataValues }),
+          }),
+          lastTimestamp: (dataValues) => {
+            const last = dataValues[dataValues.length - 1];
+            return last?.sourceTimestamp || last?.serverTimestamp;
+          },
+        });
+
+        if (aggregates && results) {
+          send([null, null, { topic: "history", payload: buildAggregateTable(targets, results) }]);
+        }
+
+        setStatusWithDetail("history done", `${total} values`);
+        done();
+      } catch (err) {
+        handleActionError("read error", err, msg, done);
+      }
+    }
+
+    /**
+     * HISTORY EVENTS — Read past events/alarms of a notifier.
+     *
+     * Reads the notifier in `msg.topic` (default: Server object) or each
+     * node in `msg.items` from `msg.start` to `msg.end`.  Select fields and
+     * filter options are the same as for the `events` action.  Each event is
+     * mapped to `{ fieldName: value }` like
+     * live events.  Paging, `msg.maxValues` and `msg.stream` work as for
+     * `history`.
+     */
+    async function actionHistoryEvents(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("reading");
+
+        const { start, end } = resolveHistoryRange(msg);
+        const fields = resolveEventFields(msg);
+        const details = new opcua.ReadEventDetails({
+          startTime: start,
+          endTime: end,
+          numValuesPerNode: Math.min(msg.numValuesPerNode || 1000, msg.maxValues || Infinity),
+          filter: await buildEventFilter(fields, resolveEventFilterOptions(msg)),
+        });
+        const toEvents = (result) => result.events.map((event) => mapEventFields(fields, event.eventFields));
+
+        const eventMsg = { ...msg, topic: msg.topic || "i=2253" };
+        const targets = await resolveHistoryTargets(eventMsg);
+        const { total } = await readHistory(eventMsg, send, targets, {
+          makeDetails: () => details,
+          limitName: "maxNodesPerHistoryReadEvents",
+          start,
+          end,
+          pagePayload: toEvents,
+          collectPayload: toEvents,
+          lastTimestamp: (events) => {
+            const last = events[events.length - 1] || {};
+            return [last.Time, last.ReceiveTime].find((t) => t instanceof Date);
+          },
+        });
+
+        setStatusWithDetail("history done", `${total} events`);
+        done();
+      } catch (err) {
+        handleActionError("read error", err, msg, done);
+      }
+    }
+
+    /**
+     * HISTORY UPDATE — Insert, replace or delete historical values.
+     *
+     * `msg.operation` selects the update:
+     *   - "insert" (default), "replace", "upsert" — values from `item.values`
+     *     (or `msg.payload` with `msg.topic`), each `{ value, timestamp,
+     *     statusCode? }`, typed by `item.datatype` / `msg.datatype` or the
+     *     type discovered from the server
+     *   - "delete" — raw values from `msg.start` to `msg.end` (both required;
+     *     `msg.isDeleteModified` deletes modified values instead)
+     *   - "deleteattime" — values at `item.timestamps` (or `msg.payload`)
+     *
+     * One message per node is sent with `msg.statusCode` and a payload of
+     * `{ timestamp, statusCode }` per value or timestamp.
+     */
+    async function actionHistoryUpdate(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        const operation = (msg.operation || "insert").toLowerCase();
+        const items = msg.items?.length
+          ? msg.items
+          : [{ nodeId: msg.topic, datatype: msg.datatype, values: msg.payload, timestamps: msg.payload }];
+        const nodeIds = msg.items?.length
+          ? await resolveItemNodeIds(items)
+          : [await resolveNodeId(msg)];
+
+        setStatus("writing");
+
+        let options;
+        if (operation === "delete") {
+          if (!msg.start || !msg.end) {
+            throw new Error("History delete needs msg.start and msg.end");
+          }
+          const range = { start: new Date(msg.start), end: new Date(msg.end), isDeleteModified: msg.isDeleteModified };
+          options = nodeIds.map(() => range);
+        } else if (operation === "deleteattime") {
+          options = items.map((item) => ({ reqTimes: [].concat(item.timestamps ?? []).map((t) => new Date(t)) }));
         } else {
-          // Aggregate reads
-          const aggregateMap = {
-            min:           opcua.AggregateFunction.Minimum,
-            max:           opcua.AggregateFunction.Maximum,
-            ave:           opcua.AggregateFunction.Average,
-            interpolative: opcua.AggregateFunction.Interpolative,
-          };
-          const aggregateFn = aggregateMap[aggregate] || opcua.AggregateFunction.Average;
-          const processingInterval = msg.processingInterval || 3600000;
-
-          result = await node.session.readAggregateValue(
-            { nodeId },
-            start,
-            end,
-            aggregateFn,
-            processingInterval
+          const datatypes = await resolveItemDataTypes(
+            items,
+            nodeIds.map((nodeId) => ({ nodeId, attributeId: opcua.AttributeIds.Value }))
           );
+          options = items.map((item, i) => ({
+            dataValues: [].concat(item.values ?? []).map((entry, j) => {
+              if (entry?.timestamp === undefined) {
+                throw new Error(`History value ${j} of ${item.nodeId} has no timestamp`);
+              }
+              return converter.buildDataValue(datatypes[i], entry.value, entry.timestamp, entry.statusCode);
+            }),
+          }));
         }
 
-        msg.payload = result;
-        send([msg, null, null]);
+        const details = nodeIds.map((nodeId, i) => history.buildHistoryUpdateDetails(operation, nodeId, options[i]));
+        const results = await runInChunks(
+          details,
+          operationLimit("maxNodesPerHistoryUpdateData"),
+          (chunk) => history.updateHistory(node.session, chunk),
+          msg.concurrency
+        );
+
+        // Without items, the message keeps its shape (payload replaced)
+        const { items: _items, ...baseMsg } = msg;
+        let total = 0;
+        results.forEach((result, i) => {
+          const timestamps = options[i].dataValues?.map((dataValue) => dataValue.sourceTimestamp)
+            || options[i].reqTimes
+            || [];
+          const payload = (result.operationResults || []).map((statusCode, j) => ({
+            timestamp: timestamps[j],
+            statusCode,
+          }));
+          total += payload.length;
+
+          send([{
+            ...baseMsg,
+            ...(msg.items?.length && { topic: items[i].nodeId, datatype: items[i].datatype, browseName: items[i].browseName }),
+            operation,
+            payload,
+            statusCode: result.statusCode,
+          }, null, null]);
+        });
+
+        setStatusWithDetail("history updated", `${operation}: ${total} values`);
         done();
       } catch (err) {
-        handleActionError("read error", err, msg, done);
+        handleActionError("write error", err, msg, done);
+      }
+    }
+
+    /**
+     * Time range of a history request (default: the last hour).
+     */
+    function resolveHistoryRange(msg) {
+      return {
+        start: msg.start ? new Date(msg.start) : new Date(Date.now() - 3600000),
+        end:   msg.end ? new Date(msg.end) : new Date(),
+      };
+    }
+
+    /**
+     * The nodes of a history request: `msg.items`, or the node in `msg.topic`.
+     *
+     * @returns {Promise<Array<{ nodeId: string, address: string, output: object }>>}
+     *   `output` holds the fields merged into the node's output messages.
+     */
+    async function resolveHistoryTargets(msg) {
+      if (!msg.items?.length) {
+        return [{ nodeId: await resolveNodeId(msg), address: msg.topic, output: {} }];
+      }
+
+      const nodeIds = await resolveItemNodeIds(msg.items);
+      return msg.items.map((item, i) => ({
+        nodeId: nodeIds[i],
+        address: item.nodeId,
+        output: { topic: item.nodeId, datatype: item.datatype, browseName: item.browseName },
+      }));
+    }
+
+    /**
+     * Run a HistoryRead for the targets of a history request and send the
+     * results: one message per target, or with `msg.stream` one message per
+     * page and target.
+     *
+     * @param {object}   msg     - Input message.
+     * @param {Function} send
+     * @param {object[]} targets - From resolveHistoryTargets().
+     * @param {object}   spec
+     * @param {Function} spec.makeDetails    - See history.readHistoryPages().
+     * @param {string}   spec.limitName      - OperationLimit for nodes per call.
+     * @param {Date}     spec.start          - Start of the range (for progress).
+     * @param {Date}     spec.end            - End of the range (for progress).
+     * @param {Function} spec.pagePayload    - `(result) => payload` of a streamed page.
+     * @param {Function} spec.collectPayload - `(result) => payload` of a complete target.
+     * @param {Function} spec.lastTimestamp  - `(pagePayload) => Date` of its last entry.
+     * @returns {Promise<{ total: number, results?: object[] }>} Number of
+     *   values/events read, and the results per target unless streamed.
+     */
+    async function readHistory(msg, send, targets, spec) {
+      const nodeIds = targets.map((target) => target.nodeId);
+      const options = { maxValues: msg.maxValues };
+
+      // Without items, the message keeps its shape (payload replaced)
+      const { items: _items, ...baseMsg } = msg;
+      const outputFor = (index, extra) => ({ ...baseMsg, ...targets[index].output, ...extra });
+
+      let total = 0;
+      const collected = msg.stream ? undefined : [];
+
+      // Stay within the MaxNodesPerHistoryRead… limit per HistoryRead call
+      for (const indexes of splitIntoChunks(nodeIds.map((_, i) => i), operationLimit(spec.limitName))) {
+        const chunkNodeIds = indexes.map((i) => nodeIds[i]);
+        const chunkDetails = (chunkIndexes) => spec.makeDetails(chunkIndexes.map((i) => indexes[i]));
+
+        if (msg.stream) {
+          for await (const { page, results } of history.readHistoryPages(
+            node.session, chunkNodeIds, chunkDetails, options
+          )) {
+            for (const result of results) {
+              const payload = spec.pagePayload(result);
+              total += payload.length;
+              send([outputFor(indexes[result.index], {
+                payload,
+                statusCode: result.statusCode,
+                page,
+                progress: historyProgress(result.complete, spec.lastTimestamp(payload), spec.start, spec.end),
+                complete: result.complete,
+              }), null, null]);
+            }
+            setStatusWithDetail("history page", `page ${page}, ${total} read`);
+          }
+        } else {
+          const results = await history.readHistoryAll(node.session, chunkNodeIds, chunkDetails, options);
+          results.forEach((result, i) => {
+            total += result.dataValues.length + result.events.length;
+            collected[indexes[i]] = result;
+            send([outputFor(indexes[i], { payload: spec.collectPayload(result) }), null, null]);
+          });
+        }
       }
+
+      return { total, results: collected };
+    }
+
+    /**
+     * Build the HistoryReadDetails factory for a history request: raw values
+     * (`msg.aggregate = "raw"`, default) or processed aggregates, with the
+     * aggregate of each target.
+     *
+     * @returns {Function} `(indexes) => HistoryReadDetails` for readHistoryPages().
+     */
+    function buildHistoryReadDetails(msg, targets, start, end) {
+      if ((msg.aggregate || "raw") === "raw") {
+        const details = new opcua.ReadRawModifiedDetails({
+          startTime: start,
+          endTime: end,
+          isReadModified: false,
+          numValuesPerNode: Math.min(msg.numValuesPerNode || 1000, msg.maxValues || Infinity),
+          returnBounds: msg.returnBounds || false,
+        });
+        return () => details;
+      }
+
+      const aggregateConfiguration = buildAggregateConfiguration(msg.aggregateConfiguration);
+
+      return (indexes) => new opcua.ReadProcessedDetails({
+        startTime: start,
+        endTime: end,
+        processingInterval: msg.processingInterval || 3600000,
+        aggregateType: indexes.map((i) => targets[i].aggregateType),
+        aggregateConfiguration,
+      });
+    }
+
+    /**
+     * AggregateConfiguration of a processed read.  Without
+     * `msg.aggregateConfiguration` the server's defaults are used; a partial
+     * configuration fills the remaining fields with the OPC UA defaults.
+     */
+    function buildAggregateConfiguration(config) {
+      return {
+        useServerCapabilitiesDefaults: config ? config.useServerCapabilitiesDefaults === true : true,
+        treatUncertainAsBad:    config?.treatUncertainAsBad ?? true,
+        percentDataBad:         config?.percentDataBad ?? 100,
+        percentDataGood:        config?.percentDataGood ?? 100,
+        useSlopedExtrapolation: config?.useSlopedExtrapolation ?? false,
+      };
+    }
+
+    /**
+     * Flatten processed history results into one row per node, aggregate
+     * and interval.
+     *
+     * @returns {Array<{ nodeId: string, browseName: string, aggregate: string,
+     *   timestamp: Date, value: *, statusCode: StatusCode }>}
+     */
+    function buildAggregateTable(targets, results) {
+      return targets.flatMap((target, i) => results[i].dataValues.map((dataValue) => ({
+        nodeId:     target.address,
+        browseName: target.output.browseName,
+        aggregate:  target.output.aggregate,
+        timestamp:  dataValue.sourceTimestamp,
+        value:      dataValue.value?.value,
+        statusCode: dataValue.statusCode,
+      })));
+    }
+
+    /**
+     * Progress of a streamed history page: the share of the time range
+     * covered up to the page's last entry.
+     */
+    function historyProgress(complete, timestamp, start, end) {
+      if (complete) return { percent: 100, timestamp: end };
+
+      const at = timestamp ? new Date(timestamp) : start;
+      const span = end.getTime() - start.getTime();
+      const percent = span > 0
+        ? Math.min(100, Math.max(0, Math.round(((at.getTime() - start.getTime()) / span) * 100)))
+        : 100;
+      return { percent, timestamp: at };
     }
 
     // ═══════════════════════════════════════════════════════════════════
@@ -935,7 +2048,19 @@ module.exports = function (RED) {
     // ═══════════════════════════════════════════════════════════════════
 
     /**
-     * READ FILE — Read a file from an OPC UA File Transfer object.
+     * READ FILE — Read a file from an OPC UA File Transfer object in chunks
+     * of `msg.chunkSize` bytes, from `msg.offset` (and at most `msg.length`
+     * bytes).
+     *
+     * With `msg.saveAs` the chunks are streamed into that local file
+     * instead of `msg.payload` (not `msg.fileName`, which is the upload
+     * source of writefile).  They are written to "<saveAs>.part", renamed
+     * once the download is complete and verified; an existing file is only
+     * replaced with `msg.overwrite = true`.  `msg.resume = true` continues
+     * an interrupted download from the size of the ".part" file.
+     * `msg.checksum` (hex) verifies the bytes read — with `msg.saveAs`, the
+     * whole local file — and a mismatch deletes the ".part" file.  Progress
+     * is reported on output 2.
      */
     async function actionReadFile(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -943,56 +2068,279 @@ module.exports = function (RED) {
       try {
         setStatus("reading");
 
-        const fileNodeId = resolveNodeId(msg);
-        const file = new ClientFile(node.session, opcua.coerceNodeId(fileNodeId));
-        const size = await file.size();
-        const openMode = 1; // Read
+        const fileNodeId = await resolveNodeId(msg);
+        const target = msg.saveAs;
+        const partial = target && `${target}.part`;
+        const resume = Boolean(target) && msg.resume === true;
+        if (target && msg.overwrite !== true && existsSync(target)) {
+          throw new Error(`Local file "${target}" exists (set msg.overwrite = true to replace it)`);
+        }
+        const downloaded = resume && existsSync(partial) ? statSync(partial).size : 0;
+        const offset = resume ? downloaded : Number(msg.offset) || 0;
+
+        const hash = fileTransfer.createChecksum(msg.checksumAlgorithm);
+        if (downloaded > 0) {
+          // The checksum covers the whole file, not only the resumed part
+          for await (const chunk of createReadStream(partial)) hash.update(chunk);
+        }
+        const progress = createFileProgress();
+        let size = 0;
+
+        const chunks = fileTransfer.readFileChunks(node.session, fileNodeId, {
+          chunkSize: msg.chunkSize,
+          offset,
+          length: msg.length,
+        });
+        const received = (async function* () {
+          for await (const { chunk, transferred, total } of chunks) {
+            hash.update(chunk);
+            size = transferred;
+            progress(transferred, total);
+            yield chunk;
+          }
+        })();
+
+        if (target) {
+          await pipeline(received, createWriteStream(partial, { flags: resume ? "a" : "w" }));
+        } else {
+          const buffers = [];
+          for await (const chunk of received) buffers.push(chunk);
+          msg.payload = Buffer.concat(buffers);
+        }
+
+        const checksum = hash.digest("hex");
+        if (msg.checksum && String(msg.checksum).toLowerCase() !== checksum) {
+          if (target) await unlink(partial).catch(() => {});
+          throw new Error(`Checksum mismatch: expected ${msg.checksum}, read ${checksum}`);
+        }
+        if (target) {
+          await rename(partial, target);
+          msg.payload = target;
+        }
+
+        msg.offset = offset;
+        msg.size = size;
+        msg.checksum = checksum;
+        setStatusWithDetail("file transferred", `${size} bytes read`);
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("read error", err, msg, done);
+      }
+    }
+
+    /**
+     * WRITE FILE — Write `msg.payload` (or the local file `msg.fileName`,
+     * streamed) to an OPC UA File Transfer object in chunks of
+     * `msg.chunkSize` bytes.
+     *
+     * `msg.mode` is "overwrite" (default), "append" or "offset" (from
+     * `msg.offset`); `msg.resume = true` continues an upload from the size
+     * of the file on the server.  `msg.verify = true` reads the written
+     * range back and compares checksums.  Progress is reported on output 2.
+     */
+    async function actionWriteFile(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("writing");
+
+        const fileNodeId = await resolveNodeId(msg);
+
+        let mode = msg.mode || "overwrite";
+        let offset = Number(msg.offset) || 0;
+        let skip = 0;
+        if (msg.resume === true) {
+          // Continue after the bytes the server already has
+          mode = "offset";
+          offset = skip = await fileTransfer.readFileSize(node.session, fileNodeId);
+        }
+
+        // Read data from local file (streamed) or msg.payload
+        let source;
+        let total;
+        if (msg.fileName) {
+          total = Math.max(statSync(msg.fileName).size - skip, 0);
+          source = createReadStream(msg.fileName, { start: skip });
+        } else {
+          const data = Buffer.isBuffer(msg.payload) ? msg.payload : Buffer.from(String(msg.payload));
+          source = data.subarray(skip);
+          total = source.length;
+        }
+
+        const progress = createFileProgress();
+        const result = await fileTransfer.writeFileChunks(node.session, fileNodeId, source, {
+          mode,
+          offset,
+          chunkSize: msg.chunkSize,
+          algorithm: msg.checksumAlgorithm,
+          onProgress: (transferred) => progress(transferred, total),
+        });
+
+        if (msg.verify === true && result.transferred > 0) {
+          const written = await fileTransfer.hashFile(node.session, fileNodeId, {
+            offset: result.position,
+            length: result.transferred,
+            chunkSize: msg.chunkSize,
+            algorithm: msg.checksumAlgorithm,
+          });
+          if (written !== result.checksum) {
+            throw new Error(`Checksum mismatch after write: sent ${result.checksum}, file has ${written}`);
+          }
+        }
+
+        msg.payload = true;
+        msg.offset = result.position;
+        msg.size = result.transferred;
+        msg.checksum = result.checksum;
+        setStatusWithDetail("file transferred", `${result.transferred} bytes written`);
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("write error", err, msg, done);
+      }
+    }
+
+    /**
+     * Progress of a file transfer: reports "file progress" on output 2 each
+     * time another whole percent has been transferred.
+     *
+     * @returns {Function} `(transferred, total) => void`
+     */
+    function createFileProgress() {
+      let reported = -1;
+      return (transferred, total) => {
+        const percent = total > 0 ? Math.floor((transferred / total) * 100) : 100;
+        if (percent === reported) return;
+        reported = percent;
+        setStatusWithDetail("file progress", `${percent}% (${transferred} of ${total} bytes)`);
+      };
+    }
+
+    /**
+     * LIST DIRECTORY — List the files and directories of the FileDirectoryType
+     * object in `msg.topic` (default: the server's FileSystem object);
+     * `msg.recursive = true` includes subdirectories.
+     *
+     * `msg.payload` is an array of `{ name, path, type, nodeId, size?,
+     * writable? }`, `type` being "directory" or "file".
+     */
+    async function actionListDirectory(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("browsing");
+
+        const directoryId = msg.topic ? await resolveNodeId(msg) : fileDirectory.FILE_SYSTEM;
+        const entries = await fileDirectory.listDirectory(node.session, directoryId, {
+          recursive: msg.recursive === true,
+          limits: node.connection?.operationLimits,
+          typeCache: node.connection?.fileTypeCache,
+        });
+
+        msg.payload = entries;
+        setStatusWithDetail("browse done", `${entries.length} entries`);
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("browse error", err, msg, done);
+      }
+    }
+
+    /**
+     * CREATE DIRECTORY / CREATE FILE — Create `msg.name` in the directory in
+     * `msg.topic` (default: the FileSystem object).  `msg.payload` is the NodeId of the new object, ready for
+     * writefile or listdirectory.
+     */
+    async function actionCreateInDirectory(type, msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("calling method");
+
+        if (!msg.name) {
+          throw new Error(`msg.name is required to create a ${type}`);
+        }
+        const directoryId = msg.topic ? await resolveNodeId(msg) : fileDirectory.FILE_SYSTEM;
+        const cache = node.connection?.browsePathCache;
+
+        msg.payload = type === "directory"
+          ? await fileDirectory.createDirectory(node.session, directoryId, String(msg.name), cache)
+          : await fileDirectory.createFile(node.session, directoryId, String(msg.name), cache);
+
+        setStatusWithDetail("method executed", `${type} ${msg.name} created`);
+        send([msg, null, null]);
+        done();
+      } catch (err) {
+        handleActionError("method error", err, msg, done);
+      }
+    }
+
+    /**
+     * DELETE FILE — Delete the file or directory in `msg.topic`.  The
+     * containing directory is looked up unless given in `msg.directory`.
+     */
+    async function actionDeleteFile(msg, send, done) {
+      if (!assertSession(msg, done)) return;
+
+      try {
+        setStatus("calling method");
+
+        if (!msg.topic) {
+          throw new Error("msg.topic (file or directory) is required");
+        }
+
+        const objectId = await resolveNodeId(msg);
+        const directoryId = msg.directory
+          ? (await resolveAddresses([msg.directory]))[0]
+          : await fileDirectory.findParentDirectory(node.session, objectId, node.connection?.fileTypeCache);
 
-        const handle = await file.open(openMode);
-        const data = await file.read(handle, size);
-        await file.close(handle);
+        await fileDirectory.deleteFileSystemObject(
+          node.session, directoryId, objectId, node.connection?.browsePathCache
+        );
 
-        msg.payload = data;
+        msg.payload = true;
+        setStatusWithDetail("method executed", "deleted");
         send([msg, null, null]);
         done();
       } catch (err) {
-        handleActionError("read error", err, msg, done);
+        handleActionError("method error", err, msg, done);
       }
     }
 
     /**
-     * WRITE FILE — Write a file to an OPC UA File Transfer object.
+     * MOVE FILE — Move (or with `msg.copy = true`, copy) the file or
+     * directory in `msg.topic` to the directory `msg.target`, optionally
+     * renamed to `msg.name`.  `msg.payload` is the NodeId of the result.
      */
-    async function actionWriteFile(msg, send, done) {
+    async function actionMoveFile(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        setStatus("writing");
+        setStatus("calling method");
 
-        const fileNodeId = resolveNodeId(msg);
-        const file = new ClientFile(node.session, opcua.coerceNodeId(fileNodeId));
+        if (!msg.topic) {
+          throw new Error("msg.topic (file or directory) is required");
+        }
 
-        // Read data from local file or msg.payload
-        let data;
-        if (msg.fileName) {
-          data = readFileSync(msg.fileName);
-        } else if (Buffer.isBuffer(msg.payload)) {
-          data = msg.payload;
-        } else {
-          data = Buffer.from(String(msg.payload));
+        if (!msg.target) {
+          throw new Error("msg.target (target directory) is required");
         }
+        const objectId = await resolveNodeId(msg);
+        const [targetId, parentId] = await resolveAddresses([msg.target, msg.directory || ""]);
+        const directoryId = parentId
+          || await fileDirectory.findParentDirectory(node.session, objectId, node.connection?.fileTypeCache);
 
-        const openMode = 2; // Write
-        const handle = await file.open(openMode);
-        await file.write(handle, data);
-        await file.close(handle);
+        msg.payload = await fileDirectory.moveOrCopy(node.session, directoryId, objectId, targetId, {
+          copy: msg.copy === true,
+          newName: msg.name,
+        }, node.connection?.browsePathCache);
 
-        msg.payload = true;
-        setStatus("value written");
+        setStatusWithDetail("method executed", msg.copy === true ? "copied" : "moved");
         send([msg, null, null]);
         done();
       } catch (err) {
-        handleActionError("write error", err, msg, done);
+        handleActionError("method error", err, msg, done);
       }
     }
 
@@ -1002,6 +2350,11 @@ module.exports = function (RED) {
 
     /**
      * METHOD — Call an OPC UA method.
+     *
+     * The method's InputArguments / OutputArguments definitions are read
+     * (cached per session): `msg.inputArguments` may hold plain values in
+     * order or an object keyed by argument name, and the outputs are returned
+     * keyed by name.
      */
     async function actionMethod(msg, send, done) {
       if (!assertSession(msg, done)) return;
@@ -1009,15 +2362,21 @@ module.exports = function (RED) {
       try {
         setStatus("calling method");
 
-        const objectId = opcua.coerceNodeId(msg.objectId);
-        const methodId = opcua.coerceNodeId(msg.methodId);
+        const [objectNodeId, methodNodeId] = await resolveAddresses([msg.objectId, msg.methodId]);
+        const objectId = opcua.coerceNodeId(objectNodeId);
+        const methodId = opcua.coerceNodeId(methodNodeId);
 
-        // Build input arguments
-        const inputArgs = (msg.inputArguments || []).map((arg) => {
-          const dataType = converter.toOpcuaDataType(arg.dataType);
-          const value = converter.coerceScalarValue(arg.dataType, arg.value);
-          return new opcua.Variant({ dataType, value });
-        });
+        const definition = await dataTypes.discoverMethodArguments(
+          node.session,
+          methodId.toString(),
+          node.connection?.dataTypeCache
+        );
+        const inputArgs = await methodArguments.buildInputArguments(
+          node.session,
+          definition.inputArguments,
+          msg.inputArguments,
+          node.connection?.dataTypeCache
+        );
 
         const callRequest = new opcua.CallMethodRequest({
           objectId,
@@ -1029,9 +2388,7 @@ module.exports = function (RED) {
 
         msg.result = result;
         msg.output = result.outputArguments;
-        msg.payload = result.outputArguments?.length === 1
-          ? result.outputArguments[0].value
-          : result.outputArguments?.map((a) => a.value);
+        msg.payload = methodArguments.mapOutputArguments(definition.outputArguments, result.outputArguments);
 
         setStatus("method executed");
         send([msg, null, null]);
@@ -1047,23 +2404,32 @@ module.exports = function (RED) {
 
     /**
      * BUILD — Construct an ExtensionObject from a type NodeId.
+     *
+     * `msg.topic` may also be a variable; its discovered DataType is used.
+     * Fields of `msg.payload`, nested structures included, override the
+     * type's defaults.
      */
     async function actionBuild(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        const typeNodeId = resolveNodeId(msg);
-        const extensionObject = await node.session.constructExtensionObject(
-          opcua.coerceNodeId(typeNodeId),
-          {}
-        );
-
-        // Merge payload properties over defaults
-        if (msg.payload && typeof msg.payload === "object") {
-          Object.assign(extensionObject, msg.payload);
+        let typeNodeId = await resolveNodeId(msg);
+
+        const [nodeClass] = await node.session.read([
+          { nodeId: typeNodeId, attributeId: opcua.AttributeIds.NodeClass },
+        ]);
+        if (nodeClass.value?.value === opcua.NodeClass.Variable) {
+          const [info] = await dataTypes.discoverNodeTypes(
+            node.session,
+            [typeNodeId],
+            node.connection?.dataTypeCache
+          );
+          typeNodeId = info.dataTypeId;
         }
 
-        msg.payload = extensionObject;
+        // Payload fields (nested ones included) over the type's defaults
+        const fields = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+        msg.payload = await converter.encodeExtensionObject(node.session, typeNodeId, fields);
         send([msg, null, null]);
         done();
       } catch (err) {
@@ -1077,15 +2443,21 @@ module.exports = function (RED) {
 
     /**
      * REGISTER — Register node IDs for faster repeated access.
+     *
+     * The nodes are remembered: reads and writes of them use the handles,
+     * and they are registered again on a new session.  `msg.payload` holds
+     * the handles.
      */
     async function actionRegister(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        const nodeIds = Array.isArray(msg.payload) ? msg.payload : [msg.topic];
-        const registeredNodes = await node.session.registerNodes(nodeIds);
-
-        msg.payload = registeredNodes;
+        const nodeIds = await resolveAddresses(Array.isArray(msg.payload) ? msg.payload : [msg.topic]);
+        msg.payload = await node.nodeRegistry.register(
+          node.session,
+          nodeIds,
+          operationLimit("maxNodesPerRegisterNodes")
+        );
         send([msg, null, null]);
         done();
       } catch (err) {
@@ -1094,14 +2466,30 @@ module.exports = function (RED) {
     }
 
     /**
-     * UNREGISTER — Unregister previously registered nodes.
+     * UNREGISTER — Unregister previously registered nodes, given by their
+     * NodeIds (or by handles of nodes registered elsewhere).
      */
     async function actionUnregister(msg, send, done) {
       if (!assertSession(msg, done)) return;
 
       try {
-        const nodeIds = Array.isArray(msg.payload) ? msg.payload : [msg.topic];
-        await node.session.unregisterNodes(nodeIds);
+        const nodeIds = await resolveAddresses(Array.isArray(msg.payload) ? msg.payload : [msg.topic]);
+        const limit = operationLimit("maxNodesPerRegisterNodes");
+
+        // Split before unregistering: the registry forgets its NodeIds
+        const remembered = nodeIds.filter((nodeId) => node.nodeRegistry.has(nodeId));
+        const others = nodeIds.filter((nodeId) => !node.nodeRegistry.has(nodeId));
+
+        await node.nodeRegistry.unregister(node.session, remembered, limit);
+        await runInChunks(
+          others,
+          limit,
+          async (chunk) => {
+            await node.session.unregisterNodes(chunk);
+            return chunk;
+          },
+          msg.concurrency
+        );
 
         msg.payload = "Nodes unregistered";
         send([msg, null, null]);
@@ -1117,21 +2505,32 @@ module.exports = function (RED) {
 
     /**
      * CONNECT — Dynamic connect (can change endpoint at runtime).
+     *
+     * A dynamic endpoint gets its own private connection; without one the
+     * node (re)joins the shared connection of its endpoint config node.
      */
     async function actionConnect(msg, send, done) {
       try {
         // If a dynamic endpoint is provided, update the endpoint
+        let endpointOverride;
         if (msg.OpcUaEndpoint) {
-          node.endpointNode = {
-            ...node.endpointNode,
+          endpointOverride = {
+            endpoint:        node.endpointNode.endpoint,
+            securityPolicy:  node.endpointNode.securityPolicy,
+            securityMode:    node.endpointNode.securityMode,
+            login:           node.endpointNode.login,
+            usercert:        node.endpointNode.usercert,
+            userCertificate: node.endpointNode.userCertificate,
+            userPrivatekey:  node.endpointNode.userPrivatekey,
+            credentials:     node.endpointNode.credentials,
             ...msg.OpcUaEndpoint,
           };
         }
 
-        await disconnectClient();
-        node.client = null;
-        node.session = null;
-        await initializeClient();
+        await deleteAllSubscriptions();
+        await releaseConnection();
+        node.connectOnStart = true;
+        await initializeClient(endpointOverride);
 
         msg.payload = "Connected";
         send([msg, null, null]);
@@ -1142,13 +2541,14 @@ module.exports = function (RED) {
     }
 
     /**
-     * DISCONNECT — Disconnect from the server.
+     * DISCONNECT — Leave the connection.  A shared connection is only closed
+     * once no other node uses it.
      */
     async function actionDisconnect(msg, send, done) {
       try {
-        await terminateSubscription();
-        await closeSession();
-        await disconnectClient();
+        stopAllPolls();
+        await deleteAllSubscriptions();
+        await releaseConnection();
 
         msg.payload = "Disconnected";
         setStatus("disconnected");
@@ -1161,18 +2561,22 @@ module.exports = function (RED) {
 
     /**
      * RECONNECT — Disconnect and re-establish the connection.
+     * Remembered subscriptions are rebuilt on the new session.
+     *
+     * On a shared connection this re-creates the session for every node
+     * that uses it.
      */
     async function actionReconnect(msg, send, done) {
       try {
-        await terminateSubscription();
-        await closeSession();
-        await disconnectClient();
-
-        node.client = null;
+        // Subscriptions stay on the server and are transferred to the new session
         node.session = null;
-        node.hasConnected = false;
 
-        await initializeClient();
+        if (node.connection) {
+          await node.connection.reconnect();
+        } else {
+          node.connectOnStart = true;
+          await initializeClient();
+        }
 
         msg.payload = "Reconnected";
         send([msg, null, null]);
@@ -1187,36 +2591,150 @@ module.exports = function (RED) {
     // ═══════════════════════════════════════════════════════════════════
 
     /**
-     * Ensure a subscription exists (create one if it doesn't).
+     * Get (or create) the subscription entry named by `msg.subscriptionId`.
      *
-     * @param {object}  msg          - The incoming message.
-     * @param {boolean} [forEvents]  - Use event-optimized parameters.
+     * Each entry owns one ClientSubscription plus everything needed to
+     * rebuild it: the parameters it was created with and the requests that
+     * added monitored items to it.  Parameters are fixed by the first
+     * message that creates the entry, and so is the notification batching
+     * (by the first subscribe or monitor message).
+     *
+     * @param {object}  msg       - The incoming message.
+     * @param {boolean} forEvents - Use event-optimized default parameters.
+     * @returns {object} The subscription entry.
+     */
+    function getSubscriptionEntry(msg, forEvents) {
+      const name = resolveSubscriptionName(msg);
+      let entry = node.subscriptions.get(name);
+
+      if (!entry) {
+        entry = {
+          name,
+          parameters:     resolveSubscriptionParameters(msg, forEvents),
+          subscription:   null,        // ClientSubscription instance
+          subscriptionId: null,        // Server-side id (once started)
+          monitoredItems: new Map(),   // nodeId → ClientMonitoredItem
+          requests:       [],          // Remembered subscribe/monitor/trigger/events requests
+          orphan:         null,        // Subscription left behind by a lost session
+          batch:          undefined,   // Notification batch (null: send data changes one by one)
+        };
+        if (!forEvents) entry.batch = createEntryBatch(msg, name);
+        node.subscriptions.set(name, entry);
+      } else if (!forEvents && entry.batch === undefined) {
+        entry.batch = createEntryBatch(msg, name);
+      }
+
+      return entry;
+    }
+
+    /**
+     * Notification batch of a subscription, from `msg.batch` ("none",
+     * "publish" or "window"), `msg.batchWindow` and `msg.batchKey` or the
+     * node's settings.  Null when data changes are sent one by one.
+     */
+    function createEntryBatch(msg, name) {
+      const options = {
+        mode:   msg.batch ?? node.batchMode,
+        window: msg.batchWindow ?? node.batchWindow,
+        key:    msg.batchKey ?? node.batchKey,
+      };
+      if (notificationBatch.resolveBatchOptions(options).mode === "none") return null;
+
+      return notificationBatch.createNotificationBatch(options, (payload, count) => {
+        node.send([null, null, { topic: "notifications", subscriptionId: name, count, payload }]);
+      });
+    }
+
+    /**
+     * The subscription name of a message (`msg.subscriptionId`).
+     */
+    function resolveSubscriptionName(msg) {
+      const name = msg.subscriptionId ?? msg.subscription;
+      return name === undefined || name === null || name === "" ? "default" : String(name);
+    }
+
+    /**
+     * The entries an unsubscribe/delete message applies to: the named one,
+     * or all of them when the message names none.
+     */
+    function selectSubscriptionEntries(msg) {
+      if (msg.subscriptionId === undefined && msg.subscription === undefined) {
+        return [...node.subscriptions.values()];
+      }
+      const entry = node.subscriptions.get(resolveSubscriptionName(msg));
+      return entry ? [entry] : [];
+    }
+
+    /**
+     * The entry a modify message applies to (`msg.subscriptionId`), which
+     * must have a started subscription.
+     */
+    function getStartedSubscriptionEntry(msg) {
+      const name = resolveSubscriptionName(msg);
+      const entry = node.subscriptions.get(name);
+      if (!entry?.subscription || !entry.subscriptionId) {
+        throw new Error(`No active subscription "${name}"`);
+      }
+      return entry;
+    }
+
+    /**
+     * Subscription parameters from the message, falling back to the node's
+     * interval.  Supports `msg.publishingInterval` (or `msg.interval`),
+     * `msg.priority`, `msg.maxKeepAliveCount`, `msg.lifetimeCount` and
+     * `msg.maxNotificationsPerPublish`.
      */
-    async function ensureSubscription(msg, forEvents = false) {
-      if (node.subscription) return;
+    function resolveSubscriptionParameters(msg, forEvents) {
+      const interval = msg.publishingInterval || msg.interval
+        || converter.toMilliseconds(node.time, node.timeUnit);
+      const options = {
+        priority:                   msg.priority,
+        maxKeepAliveCount:          msg.maxKeepAliveCount,
+        lifetimeCount:              msg.lifetimeCount,
+        maxNotificationsPerPublish: msg.maxNotificationsPerPublish,
+      };
 
-      const interval = msg.interval || converter.toMilliseconds(node.time, node.timeUnit);
-      const params = forEvents
-        ? converter.buildEventSubscriptionParameters(interval)
-        : converter.buildSubscriptionParameters(interval);
+      return forEvents
+        ? converter.buildEventSubscriptionParameters(interval, options)
+        : converter.buildSubscriptionParameters(interval, options);
+    }
+
+    /**
+     * Ensure the entry's subscription exists (create one if it doesn't).
+     *
+     * @param {object} entry - Subscription entry from getSubscriptionEntry().
+     */
+    async function ensureSubscription(entry) {
+      if (entry.subscription) return;
 
-      node.subscription = opcua.ClientSubscription.create(node.session, params);
+      const subscription = opcua.ClientSubscription.create(node.session, entry.parameters);
+      entry.subscription = subscription;
 
-      node.subscription.on("started", () => {
-        // Status is set by the calling action (subscribe/monitor/events)
+      subscription.on("started", (subscriptionId) => {
+        // Status is set by the calling action (subscribe/monitor/trigger/events)
+        if (entry.subscription === subscription) entry.subscriptionId = subscriptionId;
       });
 
-      node.subscription.on("keepalive", () => {
+      subscription.on("keepalive", () => {
         setStatus("keepalive");
       });
 
-      node.subscription.on("terminated", () => {
-        setStatus("terminated");
-        node.subscription = null;
-        node.monitoredItems.clear();
+      subscription.on("terminated", () => {
+        // Ignore deliberate terminations and subscriptions already replaced
+        if (entry.subscription !== subscription) return;
+        setStatusWithDetail("terminated", entry.name);
+        entry.subscription = null;
+        entry.subscriptionId = null;
+        entry.monitoredItems.clear();
+
+        // The server dropped it while the session is still alive — rebuild
+        if (node.session && !node.isClosing) {
+          restoreSubscription(entry, node.session)
+            .catch((err) => node.warn(`Subscription restore error: ${err.message}`));
+        }
       });
 
-      node.subscription.on("error", (err) => {
+      subscription.on("error", (err) => {
         setStatus("subscription error");
         node.error(`Subscription error: ${err.message}`);
       });
@@ -1225,87 +2743,369 @@ module.exports = function (RED) {
     /**
      * Subscribe to multiple items in a group.
      *
-     * @param {Array} items - Array of { nodeId, datatype, browseName }.
-     * @param {object} msg  - The original incoming message.
-     * @param {Function} send - The send function.
+     * @param {object} entry   - Subscription entry to add the group to.
+     * @param {Array}  items   - Array of { nodeId, datatype, browseName }.
+     * @param {object} request - The remembered subscribe request.
      */
-    async function subscribeMultipleItems(items, msg, send) {
-      const samplingInterval = msg.interval || converter.toMilliseconds(node.time, node.timeUnit);
+    async function subscribeMultipleItems(entry, items, request) {
+      const nodeIds = await resolveItemNodeIds(items);
+
+      // A group shares one set of monitoring parameters and one monitoring
+      // mode: group the items by them first
+      const groups = new Map();
+      for (const [i, item] of items.entries()) {
+        const parameters = converter.buildMonitoringParameters(item, monitoringDefaults(request));
+        const monitoringMode = itemMonitoringMode(item, request);
+        const key = JSON.stringify([parameters, monitoringMode]);
+        if (!groups.has(key)) groups.set(key, { parameters, monitoringMode, members: [] });
+        groups.get(key).members.push({ item, nodeId: nodeIds[i] });
+      }
 
-      const itemsToMonitor = items.map((item) => ({
-        nodeId: item.nodeId,
-        attributeId: opcua.AttributeIds.Value,
-      }));
+      // One group per MaxMonitoredItemsPerCall chunk
+      for (const { parameters, monitoringMode, members } of groups.values()) {
+        await runInChunks(
+          members,
+          operationLimit("maxMonitoredItemsPerCall"),
+          (chunk) => createMonitoredItemGroup(entry, chunk, parameters, monitoringMode),
+          request.concurrency
+        );
+      }
+
+      setStatus("subscribed");
+    }
 
+    /**
+     * Create one monitored item group for `{ item, nodeId }` members that
+     * share their monitoring parameters and mode.  The group's monitored
+     * items are tracked per item like single ones, so they can be
+     * unsubscribed and modified one by one.
+     */
+    async function createMonitoredItemGroup(entry, members, parameters, monitoringMode) {
       const group = opcua.ClientMonitoredItemGroup.create(
-        node.subscription,
-        itemsToMonitor,
-        { samplingInterval, discardOldest: true, queueSize: 10 },
+        entry.subscription,
+        members.map(({ nodeId }) => ({ nodeId, attributeId: opcua.AttributeIds.Value })),
+        parameters,
         opcua.TimestampsToReturn.Both
       );
 
       group.on("changed", (monitoredItem, dataValue, index) => {
-        const item = items[index];
-        const outMsg = {
+        const { item } = members[index];
+        deliverDataChange(entry, item, dataValue, (payload) => ({
           topic: item.nodeId,
           datatype: item.datatype,
-          payload: dataValue.value?.value,
+          payload,
           statusCode: dataValue.statusCode,
           serverTimestamp: dataValue.serverTimestamp,
           sourceTimestamp: dataValue.sourceTimestamp,
-        };
-        setStatus("value changed");
-        node.send([outMsg, null, null]);
+          subscriptionId: entry.name,
+        }));
       });
 
-      setStatus("subscribed");
+      await waitForInitialized(group);
+      members.forEach(({ item }, i) => entry.monitoredItems.set(item.nodeId, group.monitoredItems[i]));
+
+      // Groups are always created reporting
+      if (monitoringMode !== opcua.MonitoringMode.Reporting) {
+        await group.setMonitoringMode(monitoringMode);
+      }
+      return members;
+    }
+
+    /**
+     * Deliver a data change: added to the subscription's notification batch
+     * (sent on output 3), or sent on output 1 as the message `buildMsg`
+     * builds around the decoded value.
+     */
+    function deliverDataChange(entry, item, dataValue, buildMsg) {
+      const value = converter.decodeExtensionObject(dataValue.value?.value);
+      setStatus("value changed");
+      if (entry.batch) {
+        entry.batch.add(item, value, dataValue);
+      } else {
+        node.send([buildMsg(value), null, null]);
+      }
     }
 
     /**
-     * Terminate the current subscription and all monitored items.
+     * Terminate the entry's subscription and all its monitored items.
+     * The remembered requests are kept; see deleteSubscriptionEntry().
      */
-    async function terminateSubscription() {
-      if (node.subscription) {
+    async function terminateSubscription(entry) {
+      if (entry.subscription) {
+        const subscription = entry.subscription;
+        entry.subscription = null;
+        entry.subscriptionId = null;
+        entry.monitoredItems.clear();
         try {
-          await node.subscription.terminate();
+          await subscription.terminate();
         } catch {
           // Subscription may already be terminated
         }
-        node.subscription = null;
-        node.monitoredItems.clear();
+      }
+      discardOrphanedSubscription(entry);
+    }
+
+    /**
+     * Terminate every subscription of this node (requests are kept).
+     */
+    async function terminateAllSubscriptions() {
+      for (const entry of node.subscriptions.values()) {
+        await terminateSubscription(entry);
+      }
+    }
+
+    /**
+     * Terminate a subscription and forget it entirely.
+     */
+    async function deleteSubscriptionEntry(entry) {
+      node.subscriptions.delete(entry.name);
+      entry.batch?.close();
+      await terminateSubscription(entry);
+    }
+
+    /**
+     * Terminate and forget every subscription of this node.
+     */
+    async function deleteAllSubscriptions() {
+      for (const entry of [...node.subscriptions.values()]) {
+        await deleteSubscriptionEntry(entry);
       }
     }
 
     // ═══════════════════════════════════════════════════════════════════
-    //  SESSION & CLIENT HELPERS
+    //  SUBSCRIPTION RESTORE
     // ═══════════════════════════════════════════════════════════════════
 
     /**
-     * Close the current session.
+     * Copy the fields of an item that a subscription needs to remember,
+     * its monitoring settings included.
      */
-    async function closeSession() {
-      if (node.session) {
-        try {
-          await node.session.close(true);
-        } catch {
-          // Session may already be closed
+    function toSubscriptionItem(item) {
+      const subscriptionItem = {
+        nodeId:     item.nodeId,
+        datatype:   item.datatype,
+        browseName: item.browseName,
+      };
+      for (const key of MONITORING_SETTINGS) {
+        if (item[key] !== undefined && item[key] !== "") subscriptionItem[key] = item[key];
+      }
+      return subscriptionItem;
+    }
+
+    /**
+     * Monitoring settings of a subscribe/monitor request, the defaults for
+     * items without their own (see converter `buildMonitoringParameters()`).
+     */
+    function monitoringDefaults(request) {
+      return {
+        samplingInterval: request.interval,
+        queueSize:        request.queueSize,
+        discardOldest:    request.discardOldest,
+        deadbandType:     request.deadbandType,
+        deadbandValue:    request.deadbandValue,
+        trigger:          request.trigger,
+      };
+    }
+
+    /**
+     * Check the monitoring settings of every item before anything is
+     * created, so an invalid trigger or deadband type fails the request.
+     */
+    function validateMonitoringSettings(request) {
+      for (const item of request.items) {
+        converter.buildMonitoringParameters(item, monitoringDefaults(request));
+        itemMonitoringMode(item, request);
+      }
+    }
+
+    /**
+     * Monitoring mode of an item ("Reporting", "Sampling" or "Disabled"),
+     * falling back to the request's (default: Reporting).
+     */
+    function itemMonitoringMode(item, request) {
+      return converter.resolveMonitoringMode(item.monitoringMode ?? request.monitoringMode);
+    }
+
+    /**
+     * The data items of an entry's remembered subscribe/monitor/trigger requests,
+     * by nodeId, with the request each belongs to (the latest one wins).
+     *
+     * @returns {Map<string, { item: object, request: object }>}
+     */
+    function subscribedItems(entry) {
+      const items = new Map();
+      for (const request of entry.requests) {
+        if (request.action === "events") continue;
+        if (request.triggerItem) items.set(request.triggerItem.nodeId, { item: request.triggerItem, request });
+        for (const item of request.items) items.set(item.nodeId, { item, request });
+      }
+      return items;
+    }
+
+    /**
+     * Merge the monitoring settings of several sources; later sources win
+     * and unset values are skipped.
+     */
+    function pickMonitoringSettings(...sources) {
+      const settings = {};
+      for (const source of sources) {
+        for (const key of MONITORING_SETTINGS) {
+          if (source[key] !== undefined && source[key] !== null && source[key] !== "") settings[key] = source[key];
         }
-        node.session = null;
       }
+      return settings;
     }
 
     /**
-     * Disconnect the client.
+     * Drop unsubscribed items from an entry's remembered requests.
+     *
+     * @param {object}   entry   - Subscription entry.
+     * @param {string[]} nodeIds - NodeIds that are no longer monitored.
      */
-    async function disconnectClient() {
-      if (node.client) {
-        try {
-          node.client.removeAllListeners();
-          await node.client.disconnect();
-        } catch {
-          // Client may already be disconnected
+    function forgetSubscriptionItems(entry, nodeIds) {
+      const removed = new Set(nodeIds);
+      entry.requests = entry.requests.filter((request) => {
+        if (request.action === "events") return !removed.has(`event:${request.eventNodeId}`);
+        if (request.action === "trigger" && removed.has(request.triggerItem.nodeId)) return false;
+        request.items = request.items.filter((item) => !removed.has(item.nodeId));
+        return request.items.length > 0;
+      });
+    }
+
+    /**
+     * Re-create all remembered subscriptions on a new session.
+     * Reports "subscriptions restored" on output 2.
+     *
+     * @param {ClientSession} session - The new session.
+     */
+    async function restoreSubscriptions(session) {
+      let transferred = 0;
+      let rebuilt = 0;
+
+      for (const entry of node.subscriptions.values()) {
+        const result = await restoreSubscription(entry, session, false);
+        if (result === "transferred") transferred += 1;
+        if (result === "rebuilt") rebuilt += 1;
+      }
+
+      if (transferred + rebuilt > 0) {
+        setStatusWithDetail("subscriptions restored", `${transferred} transferred, ${rebuilt} rebuilt`);
+      }
+    }
+
+    /**
+     * Re-create one remembered subscription on a (new) session.
+     *
+     * First asks the server to move the old subscription over with
+     * TransferSubscriptions (no data gap, no re-sampling).  That works when
+     * the connection left it on the server (a `reconnect`); otherwise the
+     * subscription is rebuilt from the remembered requests.
+     *
+     * @param {object}        entry         - Subscription entry.
+     * @param {ClientSession} session       - The session to restore on.
+     * @param {boolean}       [report=true] - Send "subscriptions restored".
+     * @returns {Promise<string|null>} "transferred", "rebuilt" or null.
+     */
+    async function restoreSubscription(entry, session, report = true) {
+      const orphan = entry.orphan;
+      entry.orphan = null;
+
+      if (entry.requests.length === 0 || entry.subscription) {
+        if (orphan) orphan.subscription.terminate().catch(() => {});
+        return null;
+      }
+
+      let result;
+      if (orphan && await transferSubscription(session, orphan)) {
+        entry.subscription = orphan.subscription;
+        entry.subscriptionId = orphan.subscriptionId;
+        entry.monitoredItems = orphan.monitoredItems;
+        result = "transferred";
+      } else {
+        if (orphan) orphan.subscription.terminate().catch(() => {});
+        for (const request of entry.requests) {
+          await applySubscriptionRequest(entry, request);
         }
-        node.client = null;
+        result = "rebuilt";
+      }
+
+      if (report) setStatusWithDetail("subscriptions restored", `${entry.name} ${result}`);
+      return result;
+    }
+
+    /**
+     * Create the monitored items of a remembered request.
+     */
+    function applySubscriptionRequest(entry, request) {
+      switch (request.action) {
+        case "subscribe": return applySubscribe(entry, request);
+        case "monitor":   return applyMonitor(entry, request);
+        case "trigger":   return applyTrigger(entry, request);
+        case "events":    return applyEvents(entry, request);
+        default:          return Promise.resolve();
+      }
+    }
+
+    /**
+     * Try to move an orphaned subscription to a new session.
+     *
+     * @returns {Promise<boolean>} True when the server transferred it.
+     */
+    async function transferSubscription(session, orphan) {
+      if (!orphan.subscriptionId) return false;
+
+      try {
+        const response = await session.transferSubscriptions({
+          subscriptionIds: [orphan.subscriptionId],
+          sendInitialValues: true,
+        });
+        const statusCode = response.results?.[0]?.statusCode;
+        if (!statusCode || statusCode.isNotGood()) return false;
+      } catch {
+        // Server does not support TransferSubscriptions
+        return false;
+      }
+
+      // Re-attach the client-side subscription (and its monitored items) to
+      // the new session's publish engine, as node-opcua does on reconnect
+      const subscription = orphan.subscription;
+      subscription.publishEngine = session.getPublishEngine();
+      subscription.publishEngine.registerSubscription(subscription);
+      return true;
+    }
+
+    /**
+     * Drop a subscription left behind by a lost session.
+     */
+    function discardOrphanedSubscription(entry) {
+      if (!entry.orphan) return;
+      entry.orphan.subscription.terminate().catch(() => {});
+      entry.orphan = null;
+    }
+
+    // ═══════════════════════════════════════════════════════════════════
+    //  SESSION & CLIENT HELPERS
+    // ═══════════════════════════════════════════════════════════════════
+
+    /**
+     * Detach from the current connection.  Shared connections are released
+     * to the endpoint pool; a private connection is closed.
+     */
+    async function releaseConnection() {
+      const connection = node.connection;
+      if (!connection) return;
+
+      node.connection = null;
+      node.session = null;
+
+      for (const [event, listener] of Object.entries(connectionListeners)) {
+        connection.off(event, listener);
+      }
+
+      if (node.ownsConnection) {
+        await connection.close();
+      } else {
+        await node.endpointNode.releaseConnection(node, connection);
       }
     }
 
@@ -1317,12 +3117,17 @@ module.exports = function (RED) {
      * Check whether a message should be queued (session not ready).
      */
     function shouldQueueMessage(action) {
-      // Connection control actions should never be queued
-      if (["connect", "disconnect", "reconnect"].includes(action)) return false;
+      // Connection control actions (and stopping polls) should never be queued
+      if (["connect", "disconnect", "reconnect", "stoppoll"].includes(action)) return false;
 
-      // If connectOnStart is false and session hasn't been established yet, trigger lazy connect
-      if (!node.session && node.client && !node.connectOnStart && !node.hasConnected) {
-        connectAndCreateSession().catch(handleConnectionError);
+      // No connection at all (after a disconnect) — errors are reported by assertSession
+      if (!node.connection) return false;
+
+      // If the session hasn't been established yet, trigger lazy connect
+      if (!node.session && !node.connection.connecting && !node.connection.hasConnected) {
+        connectAndCreateSession().catch(() => {
+          // Reported through the connection's "connection_error" event
+        });
         return true; // Queue this message until session is ready
       }
 
@@ -1353,9 +3158,11 @@ module.exports = function (RED) {
      * Supports:
      *  - `msg.topic` as a NodeId string (ns=2;s=...)
      *  - `msg.topic` with `datatype=` suffix (stripped)
-     *  - `msg.topic` with `br=` prefix (browse path — not translated here)
+     *  - `msg.topic` with `br=` prefix (browse path, translated on the server)
+     *
+     * @returns {Promise<string>}
      */
-    function resolveNodeId(msg) {
+    async function resolveNodeId(msg) {
       let topic = msg.topic || "";
 
       // Strip datatype suffix if present: "ns=2;s=Var datatype=Double"
@@ -1368,7 +3175,172 @@ module.exports = function (RED) {
         topic = topic.split(";datatype=")[0];
       }
 
-      return topic;
+      const [nodeId] = await resolveAddresses([topic]);
+      return nodeId;
+    }
+
+    /**
+     * Translate NodeIds and `br=` browse paths to NodeIds, using the
+     * per-session cache of the connection.  Plain NodeIds pass through.
+     *
+     * @param {string[]} addresses
+     * @returns {Promise<string[]>}
+     */
+    function resolveAddresses(addresses) {
+      return runInChunks(
+        addresses,
+        operationLimit("maxNodesPerTranslateBrowsePathsToNodeIds"),
+        (chunk) => browsePath.resolveAddresses(node.session, chunk, node.connection?.browsePathCache)
+      );
+    }
+
+    /**
+     * The NodeIds to use on the wire for `msg.items`.  Outputs keep the
+     * item's original `nodeId` (which may be a browse path) as topic.
+     */
+    function resolveItemNodeIds(items) {
+      return resolveAddresses(items.map((item) => item.nodeId));
+    }
+
+    /**
+     * The NodeIds to send for read/write targets: the RegisterNodes handles
+     * of registered nodes, the NodeIds of all others.  With
+     * `msg.registerNodes` (or the node's "Register nodes" option) the
+     * targets are registered first, so repeated item sets use handles.
+     *
+     * @param {object}   msg
+     * @param {object[]} targets - From `resolveItemTargets()`.
+     * @returns {Promise<string[]>}
+     */
+    async function resolveRegisteredNodeIds(msg, targets) {
+      const nodeIds = targets.map((target) => target.nodeId);
+      if (msg.registerNodes ?? node.registerNodes) {
+        return node.nodeRegistry.register(node.session, nodeIds, operationLimit("maxNodesPerRegisterNodes"));
+      }
+      return node.nodeRegistry.resolve(node.session, nodeIds);
+    }
+
+    /**
+     * Release the RegisterNodes handles of this node (on close).
+     */
+    async function unregisterAllNodes() {
+      if (!node.session || node.nodeRegistry.size === 0) return;
+      try {
+        await node.nodeRegistry.unregister(node.session, undefined, operationLimit("maxNodesPerRegisterNodes"));
+      } catch {
+        // Session may already be gone
+      }
+    }
+
+    /**
+     * A server OperationLimit of the current session (e.g. "maxNodesPerRead"),
+     * divided by the number of operations each entry needs.
+     *
+     * @returns {number|undefined} Undefined when the server sets no limit.
+     */
+    function operationLimit(name, operationsPerEntry = 1) {
+      const limit = node.connection?.operationLimits?.[name];
+      return limit ? Math.max(1, Math.floor(limit / operationsPerEntry)) : undefined;
+    }
+
+    /**
+     * Resolve once a monitored item (or the items of a group) has been created.
+     */
+    function waitForInitialized(monitoredItem) {
+      return new Promise((resolve, reject) => {
+        monitoredItem.once("initialized", resolve);
+        monitoredItem.once("err", (message) => reject(new Error(message)));
+      });
+    }
+
+    /**
+     * The `{ nodeId, attributeId }` to read or write for each of `msg.items`.
+     *
+     * `item.attributeId` may be an attribute name or number (default: Value).
+     * Any other name is looked up as a property of the node — the target is
+     * then the Value of that property variable (e.g. "EURange").
+     *
+     * @returns {Promise<Array<{ nodeId: string, attributeId: number }>>}
+     */
+    async function resolveItemTargets(items) {
+      const nodeIds = await resolveItemNodeIds(items);
+      const targets = items.map((item, i) => ({
+        nodeId: nodeIds[i],
+        attributeId: converter.resolveAttributeId(item.attributeId),
+      }));
+
+      // Names that are not attributes are properties, e.g. "EURange"
+      const propertyIndexes = targets.flatMap((target, i) => (target.attributeId === undefined ? [i] : []));
+      if (propertyIndexes.length > 0) {
+        const propertyNodeIds = await runInChunks(
+          propertyIndexes.map((i) => ({ nodeId: nodeIds[i], property: String(items[i].attributeId) })),
+          operationLimit("maxNodesPerTranslateBrowsePathsToNodeIds"),
+          (chunk) => browsePath.resolveProperties(node.session, chunk, node.connection?.browsePathCache)
+        );
+        propertyIndexes.forEach((index, i) => {
+          targets[index] = { nodeId: propertyNodeIds[i], attributeId: opcua.AttributeIds.Value };
+        });
+      }
+
+      return targets;
+    }
+
+    /**
+     * The data type of each item's Value target: `item.datatype` when set,
+     * otherwise discovered from the server (once per session).
+     *
+     * @param {object[]} items   - `msg.items`.
+     * @param {object[]} targets - From `resolveItemTargets()`.
+     * @returns {Promise<string[]>}
+     */
+    async function resolveItemDataTypes(items, targets) {
+      const datatypes = items.map((item) => item.datatype);
+
+      const unknownIndexes = items.flatMap((item, i) =>
+        (!item.datatype && targets[i].attributeId === opcua.AttributeIds.Value ? [i] : [])
+      );
+      if (unknownIndexes.length > 0) {
+        // Discovery reads three attributes per node
+        const infos = await runInChunks(
+          unknownIndexes.map((i) => targets[i].nodeId),
+          operationLimit("maxNodesPerRead", 3),
+          (chunk) => dataTypes.discoverNodeTypes(node.session, chunk, node.connection?.dataTypeCache)
+        );
+        unknownIndexes.forEach((index, i) => {
+          datatypes[index] = infos[i].datatype;
+        });
+      }
+
+      return datatypes;
+    }
+
+    /**
+     * Item values with plain JSON for structure variables encoded as
+     * ExtensionObjects of the variable's DataType (nested structures, arrays,
+     * optional fields and unions; see converter.encodeExtensionObject()).
+     * Other values are returned unchanged.
+     */
+    async function encodeItemStructures(items, targets, datatypes) {
+      const values = items.map((item) => item.value);
+
+      const structIndexes = items.flatMap((item, i) => (
+        targets[i].attributeId === opcua.AttributeIds.Value
+        && /^ExtensionObject/.test(datatypes[i] || "")
+        && !(item.value instanceof opcua.ExtensionObject) ? [i] : []
+      ));
+      if (structIndexes.length === 0) return values;
+
+      const infos = await runInChunks(
+        structIndexes.map((i) => targets[i].nodeId),
+        operationLimit("maxNodesPerRead", 3),
+        (chunk) => dataTypes.discoverNodeTypes(node.session, chunk, node.connection?.dataTypeCache)
+      );
+      for (const [n, index] of structIndexes.entries()) {
+        // Variables of the abstract Structure type do not say which structure they hold
+        if (infos[n].dataTypeId === STRUCTURE_TYPE_ID) continue;
+        values[index] = await converter.encodeExtensionObject(node.session, infos[n].dataTypeId, values[index]);
+      }
+      return values;
     }
 
     // ─── Status helpers ──────────────────────────────────────────────
@@ -11,10 +11,17 @@
  *   - Security policy & mode
  *   - Authentication method (anonymous, username/password, X.509 certificate)
  *   - Credential storage (username, password — encrypted by Node-RED)
+ *
+ * Owns the pool of shared `OpcuaClientConnection` instances for this server.
+ * Nodes call `acquireConnection(user, options)` and `releaseConnection(user)`;
+ * nodes with the same client options share one OPCUAClient and session, and
+ * the connection is closed when its last user is released.
  */
 
 "use strict";
 
+const { OpcuaClientConnection, getConnectionKey } = require("../lib/opcua-connection");
+
 module.exports = function (RED) {
   /**
    * OpcUaEndpoint — Configuration node constructor.
@@ -40,6 +47,55 @@ module.exports = function (RED) {
 
     // ── Display name ─────────────────────────────────────────────────────
     this.name = config.name || "";
+
+    // ── Connection pool ──────────────────────────────────────────────────
+    const node = this;
+    const connections = new Map();   // connection key → OpcuaClientConnection
+
+    /**
+     * Get (or create) the shared connection for a set of client options and
+     * register `user` as one of its users.  Does not connect by itself.
+     *
+     * @param {object} user      - The node acquiring the connection.
+     * @param {object} [options] - Client options (see normalizeConnectionOptions).
+     * @returns {OpcuaClientConnection}
+     */
+    this.acquireConnection = function (user, options = {}) {
+      const key = getConnectionKey(options);
+      let connection = connections.get(key);
+      if (!connection) {
+        connection = new OpcuaClientConnection(node, options);
+        connection.poolKey = key;
+        connections.set(key, connection);
+      }
+      connection.users.add(user);
+      return connection;
+    };
+
+    /**
+     * Remove `user` from the connection it holds.  The connection is closed
+     * and dropped from the pool when no users remain.
+     *
+     * @param {object} user - The node releasing the connection.
+     * @param {OpcuaClientConnection} connection
+     */
+    this.releaseConnection = async function (user, connection) {
+      if (!connection) return;
+      connection.users.delete(user);
+      if (connection.users.size > 0) return;
+
+      if (connections.get(connection.poolKey) === connection) {
+        connections.delete(connection.poolKey);
+      }
+      await connection.close();
+    };
+
+    node.on("close", async (done) => {
+      const all = [...connections.values()];
+      connections.clear();
+      await Promise.all(all.map((connection) => connection.close()));
+      done();
+    });
   }
 
   RED.nodes.registerType("opcua-endpoint", OpcUaEndpointNode, {
@@ -7,6 +7,14 @@
  * so that a downstream Client node can use the "events" action.
  *
  * Supports standard event types via a dropdown or a custom NodeId.
+ *
+ * Optional filter options become the where-clause of the event filter:
+ * `msg.minSeverity`, `msg.sourceNames`, `msg.sourceNodes` and `msg.where`
+ * (conditions `{ field, operator, value }`).  Values already set on the
+ * message take precedence.
+ *
+ * With "Alarm Table" checked it sets `msg.alarmTable`, so the Client node
+ * also maintains the live alarm list.
  */
 
 "use strict";
@@ -23,8 +31,19 @@ module.exports = function (RED) {
     this.eventtype           = config.eventtype || "";
     this.customeventtype     = config.customeventtype || "";
     this.activatecustomevent = config.activatecustomevent || false;
+    this.minseverity         = Number(config.minseverity) || 0;
+    this.sourcenames         = splitList(config.sourcenames);
+    this.sourcenodes         = splitList(config.sourcenodes);
+    this.alarmtable          = config.alarmtable === true;
     this.name                = config.name || "";
 
+    try {
+      this.conditions = JSON.parse(config.conditions || "[]").map(toCondition);
+    } catch (err) {
+      this.conditions = [];
+      node.error(`Invalid event filter conditions: ${err.message}`);
+    }
+
     // ── Input handler ────────────────────────────────────────────────────
     node.on("input", (msg, send, done) => {
       msg.topic = node.root;
@@ -32,10 +51,45 @@ module.exports = function (RED) {
         ? node.customeventtype
         : node.eventtype;
 
+      if (node.minseverity > 0)       msg.minSeverity = msg.minSeverity ?? node.minseverity;
+      if (node.sourcenames.length > 0) msg.sourceNames = msg.sourceNames ?? node.sourcenames;
+      if (node.sourcenodes.length > 0) msg.sourceNodes = msg.sourceNodes ?? node.sourcenodes;
+      if (node.conditions.length > 0)  msg.where       = msg.where       ?? node.conditions;
+      if (node.alarmtable)             msg.alarmTable  = msg.alarmTable  ?? true;
+
       send(msg);
       done();
     });
   }
 
   RED.nodes.registerType("opcua-event", OpcUaEventNode);
+
+  // ── Helpers ──────────────────────────────────────────────────────────
+
+  /**
+   * Split a comma-separated config value into trimmed, non-empty entries.
+   */
+  function splitList(value) {
+    return String(value || "")
+      .split(",")
+      .map((entry) => entry.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Turn an editor condition (string value) into a where condition: numbers
+   * and booleans are typed, Between/InList values are split at commas.
+   */
+  function toCondition({ field, operator, value }) {
+    const parse = (text) => {
+      if (text === "true" || text === "false") return text === "true";
+      return text !== "" && !Number.isNaN(Number(text)) ? Number(text) : text;
+    };
+    const listOperator = operator === "Between" || operator === "InList";
+    return {
+      field,
+      operator,
+      value: listOperator ? splitList(value).map(parse) : parse(String(value ?? "").trim()),
+    };
+  }
 };
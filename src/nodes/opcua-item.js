@@ -3,7 +3,7 @@
  * @description OPC UA Item node — prepares item metadata for downstream nodes.
  *
  * This node sits before the OPC UA Client node and enriches `msg` with:
- *   - `msg.items`  — always an array of one item: `[{ nodeId, datatype, browseName, value? }]`
+ *   - `msg.items`  — always an array of one item: `[{ nodeId, datatype, browseName, attributeId?, value? }]`
  *   - `msg.topic`  — the OPC UA NodeId address (for display / downstream compat)
  *
  * If the node has a static value configured, it is coerced and included
@@ -29,6 +29,7 @@ module.exports = function (RED) {
     this.datatype = (config.datatype || "").trim();
     this.value    = config.value;            // Static default value (may be null)
     this.name     = config.name     || "";   // Browse / display name
+    this.attribute = (config.attribute || "").trim();  // Attribute/property name (empty = Value)
 
     const node = this;
 
@@ -43,6 +44,10 @@ module.exports = function (RED) {
         browseName: node.name,
       };
 
+      if (node.attribute) {
+        item.attributeId = node.attribute;
+      }
+
       // Include static value if configured (for write operations)
       const hasStaticValue = node.value !== undefined && node.value !== null && node.value !== "";
       if (hasStaticValue) {
@@ -2,31 +2,41 @@
  * @file opcua-method.js
  * @description OPC UA Method node — calls an OPC UA method with arguments.
  *
- * Creates a per-invocation connection to call the specified method on the
- * given object. Supports up to 3 input arguments and captures all output
- * arguments in the result.
+ * Calls the specified method on the given object through the shared
+ * connection of the endpoint config node. The session is opened on deploy
+ * and kept (the connection reconnects after a loss); calls arriving while a
+ * Call request is in flight are sent together in the next request, and each
+ * call can have its own timeout (msg.timeout, ms). The argument types are read from
+ * the method's InputArguments / OutputArguments properties, so any number of
+ * arguments can be passed as plain values (see opcua-method-arguments).
  *
  * Input arguments can be configured in the editor or overridden by msg properties:
- *   msg.objectId       — NodeId of the parent object
- *   msg.methodId       — NodeId of the method
- *   msg.inputArguments  — array of { dataType, value, typeid? } objects
+ *   msg.objectId       — NodeId (or `br=` browse path) of the parent object
+ *   msg.methodId       — NodeId (or `br=` browse path) of the method
+ *   msg.inputArguments  — array of values in argument order, object keyed by
+ *                         argument name, or array of { dataType, value, typeid? }
+ *   msg.timeout        — milliseconds before the call fails (0 = no timeout)
  *
  * Output:
- *   msg.payload — single value (if one output arg) or array of values
+ *   msg.payload — output arguments keyed by argument name
  *   msg.result  — full CallMethodResult object (statusCode, outputArguments, etc.)
  *   msg.output  — raw output arguments array
+ *
+ * The admin route GET /opcua-method/signature returns the argument
+ * definitions of a method for the editor.
  */
 
 "use strict";
 
 const opcua = require("node-opcua");
-const { getClientCertificateManager } = require("../lib/opcua-certificate-manager");
-const {
-  resolveUserIdentity,
-  resolveSecurityMode,
-  resolveSecurityPolicy,
-  DEFAULT_CONNECTION_STRATEGY,
-} = require("../lib/opcua-connection");
+const { resolveAddresses } = require("../lib/opcua-browse-path");
+const { runInChunks } = require("../lib/opcua-batching");
+const { getStatus, getStatusWithDetail } = require("../lib/opcua-status");
+const dataTypes = require("../lib/opcua-datatype");
+const methodArguments = require("../lib/opcua-method-arguments");
+
+// Timeout for the session of a signature request (ms)
+const SIGNATURE_SESSION_TIMEOUT = 10000;
 
 module.exports = function (RED) {
 
@@ -40,33 +50,62 @@ module.exports = function (RED) {
     this.objectId     = config.objectId || "";
     this.methodId     = config.methodId || "";
     this.name         = config.name || "";
+    this.timeout      = Number(config.timeout) || 0;   // ms per call, 0 = none
 
     // ── Build static input arguments from editor config ──────────────────
-    this.configuredInputArgs  = buildArgsFromConfig(config, "arg", 3);
-    this.configuredOutputArgs = buildArgsFromConfig(config, "out", 1);
+    // Flows saved before the argument list have the fixed arg0…arg2 fields
+    try {
+      this.configuredInputArgs = config.args
+        ? buildArgsFromList(JSON.parse(config.args))
+        : buildArgsFromConfig(config, "arg", 3);
+    } catch (err) {
+      this.configuredInputArgs = [];
+      node.error(`Invalid method arguments: ${err.message}`);
+    }
 
     // ── Validate endpoint ────────────────────────────────────────────────
     if (!this.endpointNode) {
-      node.status({ fill: "red", shape: "ring", text: "no endpoint" });
+      node.status(getStatus("invalid endpoint"));
       return;
     }
 
-    node.status({ fill: "grey", shape: "ring", text: "idle" });
+    // Shared connection from the endpoint pool, kept for the node's lifetime
+    const connection = this.endpointNode.acquireConnection(node);
+
+    const connectionListeners = {
+      status:           (statusKey, detail) => node.status(getStatusWithDetail(statusKey, detail)),
+      connection_error: (err) => node.status(getStatusWithDetail("error", err.message)),
+    };
+    for (const [event, listener] of Object.entries(connectionListeners)) {
+      connection.on(event, listener);
+    }
+
+    // Open the session now so the first call does not wait for the handshake;
+    // the connection strategy reconnects after a loss
+    if (connection.isReady) {
+      node.status(getStatus("session active"));
+    } else {
+      connection.connect().catch(() => {
+        // Reported through connection_error; calls wait for the next attempt
+      });
+    }
 
-    // ── Command queue for sequential processing ──────────────────────────
+    // ── Command queue, processed in batches ──────────────────────────────
     let processing = false;
     const cmdQueue = [];
+    let inFlight = [];   // Batch being executed
 
     // ── Input handler ────────────────────────────────────────────────────
-    node.on("input", async (msg, send, done) => {
+    node.on("input", (msg, send, done) => {
       const command = {
-        objectId:        msg.objectId || node.objectId,
-        methodId:        msg.methodId || node.methodId,
-        inputArguments:  msg.inputArguments || [...node.configuredInputArgs],
-        outputArguments: msg.outputArguments || [...node.configuredOutputArgs],
+        objectId:       msg.objectId || node.objectId,
+        methodId:       msg.methodId || node.methodId,
+        inputArguments: msg.inputArguments || [...node.configuredInputArgs],
         msg,
         send,
         done,
+        settled:        false,
+        timer:          null,
       };
 
       if (!command.objectId) {
@@ -80,126 +119,241 @@ module.exports = function (RED) {
         return;
       }
 
-      cmdQueue.push(command);
-
-      if (!processing) {
-        await processQueue();
+      // Per-call timeout, counted from arrival (includes waiting for a session)
+      const timeout = Number(msg.timeout ?? node.timeout) || 0;
+      if (timeout > 0) {
+        command.timer = setTimeout(() => {
+          const index = cmdQueue.indexOf(command);
+          if (index >= 0) cmdQueue.splice(index, 1);
+          finish(command, new Error(`Method call timed out after ${timeout} ms`));
+        }, timeout);
       }
+
+      cmdQueue.push(command);
+      processQueue();
     });
 
     // ── Queue processor ──────────────────────────────────────────────────
+    /**
+     * Call the queued methods.  Commands arriving while a Call request is in
+     * flight are collected and sent together in the next request.
+     */
     async function processQueue() {
-      if (cmdQueue.length === 0) return;
+      if (processing) return;
       processing = true;
 
-      let client = null;
-      let session = null;
-
       try {
-        // Initialize certificate manager
-        const certManager = getClientCertificateManager();
-        await certManager.initialize();
-
-        // Create client
-        client = opcua.OPCUAClient.create({
-          applicationName: "BRDK-NodeRED-OPCUA-Method",
-          clientCertificateManager: certManager,
-          securityMode: resolveSecurityMode(node.endpointNode.securityMode),
-          securityPolicy: resolveSecurityPolicy(node.endpointNode.securityPolicy),
-          endpointMustExist: false,
-          connectionStrategy: DEFAULT_CONNECTION_STRATEGY,
-        });
-
-        // Connect
-        node.status({ fill: "yellow", shape: "dot", text: "connecting" });
-        await client.connect(node.endpointNode.endpoint);
-
-        // Create session
-        const userIdentity = resolveUserIdentity(node.endpointNode);
-        session = await client.createSession(userIdentity);
-        node.status({ fill: "green", shape: "dot", text: "session active" });
-
-        // Process all queued commands
         while (cmdQueue.length > 0) {
-          const cmd = cmdQueue.shift();
-          try {
-            await executeMethod(session, cmd);
-          } catch (err) {
-            node.error(`Method call failed: ${err.message}`, cmd.msg);
-            cmd.done(err);
+          if (!connection.isReady) {
+            node.status(getStatus("connecting"));
           }
+          const session = await connection.connect();
+          inFlight = cmdQueue.splice(0);
+          await executeBatch(session, inFlight);
+          inFlight = [];
         }
-
-        node.status({ fill: "green", shape: "dot", text: "method executed" });
       } catch (err) {
-        node.status({ fill: "red", shape: "ring", text: "error" });
-        node.error(`Method connection error: ${err.message}`);
+        node.status(getStatusWithDetail("error", err.message));
         // Fail all remaining queued commands
-        while (cmdQueue.length > 0) {
-          const cmd = cmdQueue.shift();
-          cmd.done(err);
+        for (const cmd of cmdQueue.splice(0)) {
+          finish(cmd, err);
         }
       } finally {
-        await cleanup(session, client);
+        inFlight = [];
         processing = false;
-
-        // If new commands arrived during processing, process them
-        if (cmdQueue.length > 0) {
-          await processQueue();
-        }
       }
     }
 
     // ── Method execution ─────────────────────────────────────────────────
-    async function executeMethod(session, cmd) {
-      const { msg, send, done } = cmd;
-
-      // Coerce input arguments
-      const inputArgs = await coerceArguments(session, cmd.inputArguments);
-
-      // Build the CallMethodRequest
-      node.status({ fill: "green", shape: "dot", text: "calling method" });
-      const callMethodRequest = new opcua.CallMethodRequest({
-        objectId: opcua.coerceNodeId(cmd.objectId),
-        methodId: opcua.coerceNodeId(cmd.methodId),
-        inputArguments: inputArgs,
-      });
+    /**
+     * Call a batch of methods with one Call service request (split by the
+     * server's MaxNodesPerMethodCall).  A command that cannot be prepared
+     * (unknown browse path, wrong arguments) fails on its own.
+     */
+    async function executeBatch(session, batch) {
+      const calls = [];
+
+      for (const cmd of batch) {
+        try {
+          // Translate browse paths (cached per session by the connection)
+          const [objectId, methodId] = await resolveAddresses(
+            session,
+            [cmd.objectId, cmd.methodId],
+            connection.browsePathCache
+          );
+
+          // Coerce input arguments to the method's argument definitions
+          const definition = await dataTypes.discoverMethodArguments(
+            session,
+            opcua.coerceNodeId(methodId).toString(),
+            connection.dataTypeCache
+          );
+          const inputArgs = await methodArguments.buildInputArguments(
+            session,
+            definition.inputArguments,
+            cmd.inputArguments,
+            connection.dataTypeCache
+          );
+
+          calls.push({
+            cmd,
+            definition,
+            request: new opcua.CallMethodRequest({
+              objectId: opcua.coerceNodeId(objectId),
+              methodId: opcua.coerceNodeId(methodId),
+              inputArguments: inputArgs,
+            }),
+          });
+        } catch (err) {
+          node.status(getStatusWithDetail("method error", err.message));
+          finish(cmd, err);
+        }
+      }
 
-      // Execute the call
-      const result = await session.call(callMethodRequest);
+      // Commands that timed out while being prepared are not sent
+      const pending = calls.filter((call) => !call.cmd.settled);
+      if (pending.length === 0) return;
 
-      if (result.statusCode !== opcua.StatusCodes.Good) {
-        node.status({ fill: "red", shape: "ring", text: result.statusCode.description });
-        node.error(`Method returned: ${result.statusCode.description}`, msg);
-        done();
+      node.status(pending.length > 1
+        ? getStatusWithDetail("calling method", `${pending.length} calls`)
+        : getStatus("calling method"));
+
+      let results;
+      try {
+        results = await runInChunks(
+          pending.map((call) => call.request),
+          connection.operationLimits.maxNodesPerMethodCall,
+          (requests) => session.call(requests)
+        );
+      } catch (err) {
+        node.status(getStatusWithDetail("method error", err.message));
+        for (const call of pending) finish(call.cmd, err);
         return;
       }
 
-      // Build output
-      msg.result = result;
-      msg.output = result.outputArguments;
+      let failed = 0;
+      for (const [i, call] of pending.entries()) {
+        const result = results[i];
+        const { msg, send } = call.cmd;
 
-      if (result.outputArguments.length === 1) {
-        msg.payload = result.outputArguments[0].value;
-      } else if (result.outputArguments.length > 1) {
-        msg.payload = result.outputArguments.map((arg) => arg.value);
-      } else {
-        msg.payload = null;
+        if (result.statusCode.isNotGood()) {
+          failed++;
+          finish(call.cmd, new Error(`Method returned: ${result.statusCode.description}`));
+          continue;
+        }
+
+        // Build output
+        msg.result = result;
+        msg.output = result.outputArguments;
+        msg.payload = methodArguments.mapOutputArguments(call.definition.outputArguments, result.outputArguments);
+
+        if (!call.cmd.settled) send(msg);
+        finish(call.cmd);
       }
 
-      send(msg);
-      done();
+      node.status(failed > 0
+        ? getStatusWithDetail("method error", `${failed} of ${pending.length} failed`)
+        : getStatus("method executed"));
+    }
+
+    /**
+     * Complete a command once — whichever of result and timeout comes first.
+     */
+    function finish(cmd, err) {
+      if (cmd.settled) return;
+      cmd.settled = true;
+      clearTimeout(cmd.timer);
+      if (err) cmd.done(err);
+      else cmd.done();
     }
 
     // ── Close handler ────────────────────────────────────────────────────
-    node.on("close", (done) => {
-      cmdQueue.length = 0;
+    node.on("close", async (done) => {
+      // Complete queued and in-flight messages so Complete/Catch nodes fire
+      for (const cmd of [...cmdQueue.splice(0), ...inFlight]) {
+        finish(cmd, new Error("Node closed"));
+      }
+      for (const [event, listener] of Object.entries(connectionListeners)) {
+        connection.off(event, listener);
+      }
+      await node.endpointNode.releaseConnection(node, connection);
       node.status({});
       done();
     });
   }
 
   RED.nodes.registerType("opcua-method", OpcUaMethodNode);
+
+  // ── Admin HTTP endpoint for the editor ─────────────────────────────────
+
+  /**
+   * GET /opcua-method/signature
+   *
+   * Query params:
+   *   - endpointId   — ID of the opcua-endpoint config node
+   *   - methodId     — NodeId (or `br=` browse path) of the method
+   *
+   * Returns JSON object with `methodId` and the `inputArguments` and
+   * `outputArguments` definitions (name, datatype, dataTypeId, dataTypeName,
+   * valueRank, description) read from the method's properties.
+   */
+  RED.httpAdmin.get("/opcua-method/signature", async (req, res) => {
+    const endpointId = req.query.endpointId;
+    const methodPath = req.query.methodId;
+
+    if (!endpointId || !methodPath) {
+      return res.status(400).json({ error: "endpointId and methodId are required" });
+    }
+
+    const endpointNode = RED.nodes.getNode(endpointId);
+    if (!endpointNode) {
+      return res.status(404).json({ error: "Endpoint node not found. Deploy first." });
+    }
+
+    // Borrow the endpoint's shared connection for the duration of the request
+    const signatureUser = {};
+    const connection = endpointNode.acquireConnection(signatureUser);
+
+    try {
+      const session = await connection.waitForSession(SIGNATURE_SESSION_TIMEOUT);
+      const [methodId] = await resolveAddresses(session, [methodPath], connection.browsePathCache);
+
+      const nodeClass = await session.read({ nodeId: methodId, attributeId: opcua.AttributeIds.NodeClass });
+      if (nodeClass.value?.value !== opcua.NodeClass.Method) {
+        return res.status(404).json({ error: `${methodPath} is not a method` });
+      }
+
+      const definition = await dataTypes.discoverMethodArguments(
+        session,
+        opcua.coerceNodeId(methodId).toString(),
+        connection.dataTypeCache
+      );
+
+      // Name the declared DataTypes, e.g. "Duration" for a Double argument
+      const args = [...definition.inputArguments, ...definition.outputArguments];
+      const browseNames = args.length > 0
+        ? await session.read(args.map((arg) => ({
+          nodeId: arg.dataTypeId,
+          attributeId: opcua.AttributeIds.BrowseName,
+        })))
+        : [];
+      const describe = (arg, i) => ({ ...arg, dataTypeName: browseNames[i].value?.value?.name || arg.datatype });
+
+      res.json({
+        methodId:        opcua.coerceNodeId(methodId).toString(),
+        inputArguments:  definition.inputArguments.map((arg, i) => describe(arg, i)),
+        outputArguments: definition.outputArguments.map((arg, i) => describe(arg, definition.inputArguments.length + i)),
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    } finally {
+      try {
+        await endpointNode.releaseConnection(signatureUser, connection);
+      } catch {
+        // Ignore cleanup errors
+      }
+    }
+  });
 };
 
 // ── Helpers ──────────────────────────────────────────────────────────────────────
@@ -230,6 +384,22 @@ function buildArgsFromConfig(config, prefix, count) {
   return args;
 }
 
+/**
+ * Build the argument array from the editor's argument list.  Rows without a
+ * type pass their value as entered and take the type the method declares.
+ * @param {Array<{ name, type, typeid, value }>} rows — parsed `config.args`
+ * @returns {Array} values and { dataType, value, typeid? } objects in argument order
+ */
+function buildArgsFromList(rows) {
+  return rows.map((row) => {
+    if (!row.type) return row.value;
+
+    const arg = { dataType: row.type, value: coerceArgValue(row.type, row.value) };
+    if (row.typeid) arg.typeid = row.typeid;
+    return arg;
+  });
+}
+
 /**
  * Coerce a raw string value to the appropriate JS type based on OPC UA data type.
  */
@@ -262,44 +432,3 @@ function coerceArgValue(dataType, rawValue) {
       return rawValue;
   }
 }
-
-/**
- * Coerce argument values, resolving ExtensionObjects via session.constructExtensionObject().
- */
-async function coerceArguments(session, args) {
-  const coerced = [];
-
-  for (const arg of args) {
-    const entry = { dataType: opcua.DataType[arg.dataType], value: arg.value };
-
-    if (arg.dataType === "NodeId") {
-      entry.value = opcua.coerceNodeId(arg.value);
-    } else if (arg.dataType === "ExtensionObject" && arg.typeid) {
-      entry.value = await session.constructExtensionObject(
-        opcua.coerceNodeId(arg.typeid),
-        arg.value,
-      );
-    } else if (arg.dataType === "LocalizedText") {
-      // LocalizedText as array with valueRank
-      entry.value = [arg.value];
-      entry.valueRank = 1;
-      entry.arrayDimensions = [1];
-    }
-
-    coerced.push(entry);
-  }
-
-  return coerced;
-}
-
-/**
- * Gracefully close session and disconnect client.
- */
-async function cleanup(session, client) {
-  try {
-    if (session) await session.close(true);
-  } catch { /* already closed */ }
-  try {
-    if (client) await client.disconnect();
-  } catch { /* already disconnected */ }
-}
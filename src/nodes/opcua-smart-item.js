@@ -4,7 +4,9 @@
  * address space browsing from the editor.
  *
  * Always outputs `msg.items` as an array of `{ nodeId, datatype, browseName }`
- * objects, regardless of how many items are configured (1 or N).
+ * objects, regardless of how many items are configured (1 or N).  Items keep
+ * their own monitoring settings for subscribe/monitor (samplingInterval,
+ * queueSize, discardOldest, deadbandType, deadbandValue, trigger).
  *
  * The editor exposes HTTP admin endpoints so the treeview can browse
  * the OPC UA server's address space in real time.
@@ -16,18 +18,25 @@
 "use strict";
 
 const opcua = require("node-opcua");
-const { getClientCertificateManager } = require("../lib/opcua-certificate-manager");
-const {
-  resolveUserIdentity,
-  resolveSecurityMode,
-  resolveSecurityPolicy,
-} = require("../lib/opcua-connection");
 const {
   coerceScalarValue,
   isArrayType,
   coerceArrayValue,
 } = require("../lib/opcua-data-converter");
 
+// How long the editor browse route waits for a session before giving up
+const BROWSE_SESSION_TIMEOUT = 10000;
+
+// Monitoring settings stored per item → coercion of the editor's strings
+const MONITORING_SETTINGS = {
+  samplingInterval: Number,
+  queueSize:        Number,
+  discardOldest:    (value) => value === true || value === "true",
+  deadbandType:     String,
+  deadbandValue:    Number,
+  trigger:          String,
+};
+
 module.exports = function (RED) {
 
   // ═══════════════════════════════════════════════════════════════════════
@@ -43,7 +52,7 @@ module.exports = function (RED) {
     this.endpointNode = RED.nodes.getNode(config.endpoint);
     this.name         = config.name || "";
 
-    // Items array: [{ nodeId, datatype, browseName }]
+    // Items array: [{ nodeId, datatype, browseName, value?, ...monitoring settings }]
     this.items = [];
     try {
       this.items = JSON.parse(config.items || "[]");
@@ -72,6 +81,13 @@ module.exports = function (RED) {
           itemObj.value = coerceValue(item.datatype || "", item.value);
         }
 
+        // Include the monitoring settings that are configured
+        for (const [key, coerce] of Object.entries(MONITORING_SETTINGS)) {
+          if (item[key] !== undefined && item[key] !== null && item[key] !== "") {
+            itemObj[key] = coerce(item[key]);
+          }
+        }
+
         return itemObj;
       });
 
@@ -114,28 +130,13 @@ module.exports = function (RED) {
       return res.status(404).json({ error: "Endpoint node not found. Deploy first." });
     }
 
-    let client = null;
-    let session = null;
+    // Borrow the endpoint's shared connection for the duration of the request
+    const browseUser = {};
+    const connection = endpointNode.acquireConnection(browseUser);
 
     try {
-      // Initialize certificate manager
-      const certManager = getClientCertificateManager();
-      await certManager.initialize();
-
-      // Create ephemeral client
-      client = opcua.OPCUAClient.create({
-        applicationName: "BRDK-NodeRED-SmartItem-Browser",
-        clientCertificateManager: certManager,
-        securityMode: resolveSecurityMode(endpointNode.securityMode),
-        securityPolicy: resolveSecurityPolicy(endpointNode.securityPolicy),
-        endpointMustExist: false,
-        connectionStrategy: { maxRetry: 2, initialDelay: 500, maxDelay: 3000 },
-        requestedSessionTimeout: 30000,
-      });
-
-      await client.connect(endpointNode.endpoint);
-      const userIdentity = resolveUserIdentity(endpointNode);
-      session = await client.createSession(userIdentity);
+      const session = await connection.waitForSession(BROWSE_SESSION_TIMEOUT);
+      const client = connection.client;
 
       // Read the server's ApplicationName from its endpoints
       let serverName = "";
@@ -244,8 +245,7 @@ module.exports = function (RED) {
       res.status(500).json({ error: err.message });
     } finally {
       try {
-        if (session) await session.close();
-        if (client) await client.disconnect();
+        await endpointNode.releaseConnection(browseUser, connection);
       } catch {
         // Ignore cleanup errors
       }